@@ -0,0 +1,166 @@
+// ============================================================
+// clustering.js — k-means and Gaussian mixture EM, one iteration at a time
+// ============================================================
+
+// Both models share the classifier contract's predict_class_proba(X) (hard one-hot assignments for
+// k-means, responsibilities for the mixture) plus an iterative interface: init(X) seeds the model,
+// step() runs one full iteration, and `iteration`, `converged`, `assignments` and `objective` describe it.
+const MAX_CLUSTERING_ITERATIONS = 100;
+
+// k-means++ seeding: each new centre is drawn with probability proportional to its squared
+// distance from the nearest centre already chosen
+function kMeansPlusPlus(X, k) {
+    const centers = [X[Math.floor(seededRandom() * X.length)]];
+    while (centers.length < k) {
+        const distances = X.map(p => Math.min(...centers.map(c => (p.x - c.x) ** 2 + (p.y - c.y) ** 2)));
+        const total = distances.reduce((a, b) => a + b, 0);
+        let target = seededRandom() * total, index = 0;
+        while (index < X.length - 1 && target >= distances[index]) { target -= distances[index]; index++; }
+        centers.push(X[index]);
+    }
+    return centers.map(c => [c.x, c.y]);
+}
+
+// --- K-MEANS (Lloyd's algorithm) ---
+class KMeans {
+    constructor(k) { this.k = k; }
+    init(X) {
+        this.X = X;
+        this.centroids = kMeansPlusPlus(X, this.k);
+        this.iteration = 0;
+        this.converged = false;
+        this._assign();
+    }
+    _nearest(point) {
+        let best = 0, bestDistance = Infinity;
+        this.centroids.forEach((c, j) => {
+            const d = (point.x - c[0]) ** 2 + (point.y - c[1]) ** 2;
+            if (d < bestDistance) { bestDistance = d; best = j; }
+        });
+        return best;
+    }
+    _assign() {
+        this.assignments = this.X.map(p => this._nearest(p));
+        // Inertia: within-cluster sum of squared distances to the centroids
+        this.objective = this.X.reduce((sum, p, i) => {
+            const c = this.centroids[this.assignments[i]];
+            return sum + (p.x - c[0]) ** 2 + (p.y - c[1]) ** 2;
+        }, 0);
+    }
+    // Update step (centroids to cluster means) followed by the assignment step; an empty cluster keeps its centroid
+    step() {
+        if (this.converged) return;
+        const previous = this.assignments;
+        this.centroids = this.centroids.map((c, j) => {
+            const members = this.X.filter((_, i) => previous[i] === j);
+            return members.length ? meanOf(members) : c;
+        });
+        this._assign();
+        this.iteration++;
+        this.converged = this.assignments.every((a, i) => a === previous[i]) || this.iteration >= MAX_CLUSTERING_ITERATIONS;
+    }
+    predict_class_proba(X) {
+        return X.map(point => {
+            const probs = new Array(this.k).fill(0);
+            probs[this._nearest(point)] = 1;
+            return probs;
+        });
+    }
+}
+
+// --- GAUSSIAN MIXTURE (expectation-maximization) ---
+class GaussianMixture {
+    constructor(k) { this.k = k; }
+    // Means from k-means++ seeds, every covariance equal to the data covariance, uniform weights
+    init(X) {
+        this.X = X;
+        const dataMean = meanOf(X);
+        const dataCovariance = scatterOf(X, dataMean).map(row => row.map(v => v / X.length));
+        this.components = kMeansPlusPlus(X, this.k).map(mean => ({ weight: 1 / this.k, mean, covariance: dataCovariance }));
+        this.iteration = 0;
+        this.converged = false;
+        this._expectation();
+    }
+    _logJoint(point) {
+        return this.components.map(c => Math.log(Math.max(c.weight, 1e-300)) + logGaussian2D(point, c.mean, c.covariance));
+    }
+    // E-step: responsibilities and the log-likelihood (the objective EM never decreases)
+    _expectation() {
+        let logLikelihood = 0;
+        this.responsibilities = this.X.map(point => {
+            const logJoint = this._logJoint(point);
+            const max = Math.max(...logJoint);
+            const exps = logJoint.map(v => Math.exp(v - max));
+            const sum = exps.reduce((a, b) => a + b, 0);
+            logLikelihood += max + Math.log(sum);
+            return exps.map(e => e / sum);
+        });
+        this.assignments = this.responsibilities.map(r => r.indexOf(Math.max(...r)));
+        this.objective = logLikelihood;
+    }
+    // M-step: weighted means and covariances (with a small ridge so a collapsing component stays invertible)
+    _maximization() {
+        const n = this.X.length;
+        this.components = this.components.map((component, j) => {
+            const weights = this.responsibilities.map(r => r[j]);
+            const total = weights.reduce((a, b) => a + b, 0);
+            if (total < 1e-9) return component;
+            const mean = [0, 1].map(d => this.X.reduce((sum, p, i) => sum + weights[i] * (d === 0 ? p.x : p.y), 0) / total);
+            let sxx = 0, sxy = 0, syy = 0;
+            this.X.forEach((p, i) => {
+                const dx = p.x - mean[0], dy = p.y - mean[1];
+                sxx += weights[i] * dx * dx; sxy += weights[i] * dx * dy; syy += weights[i] * dy * dy;
+            });
+            const ridge = 1e-6;
+            return { weight: total / n, mean, covariance: [[sxx / total + ridge, sxy / total], [sxy / total, syy / total + ridge]] };
+        });
+    }
+    step() {
+        if (this.converged) return;
+        const previous = this.objective;
+        this._maximization();
+        this._expectation();
+        this.iteration++;
+        this.converged = Math.abs(this.objective - previous) < 1e-6 * Math.abs(previous) || this.iteration >= MAX_CLUSTERING_ITERATIONS;
+    }
+    predict_class_proba(X) {
+        return X.map(point => {
+            const logJoint = this._logJoint(point);
+            const max = Math.max(...logJoint);
+            const exps = logJoint.map(v => Math.exp(v - max));
+            const sum = exps.reduce((a, b) => a + b, 0);
+            return exps.map(e => e / sum);
+        });
+    }
+    // Same shape as the discriminant models' gaussianComponents(), so the ellipse overlay can draw them
+    gaussianComponents() {
+        return this.components.map((c, cls) => ({ cls, mean: c.mean, covariance: c.covariance }));
+    }
+}
+
+const CLUSTERING_MODELS = {
+    kmeans: (k) => new KMeans(k),
+    gmm: (k) => new GaussianMixture(k)
+};
+
+// --- EXTERNAL VALIDATION ---
+// table[c][j] = number of points of true class c placed in cluster j
+function contingencyTable(labels, assignments, nClasses, nClusters) {
+    const table = Array.from({ length: nClasses }, () => new Array(nClusters).fill(0));
+    labels.forEach((label, i) => { table[label][assignments[i]]++; });
+    return table;
+}
+
+// Adjusted Rand index (Hubert & Arabie): pair-counting agreement corrected for chance; 1 for identical
+// partitions up to relabelling, about 0 for random ones
+function adjustedRandIndex(table) {
+    const pairs = n => n * (n - 1) / 2;
+    const rowSums = table.map(row => row.reduce((a, b) => a + b, 0));
+    const colSums = table[0].map((_, j) => table.reduce((sum, row) => sum + row[j], 0));
+    const n = rowSums.reduce((a, b) => a + b, 0);
+    const index = table.reduce((sum, row) => sum + row.reduce((s, v) => s + pairs(v), 0), 0);
+    const rowPairs = rowSums.reduce((s, v) => s + pairs(v), 0), colPairs = colSums.reduce((s, v) => s + pairs(v), 0);
+    const expected = n > 1 ? rowPairs * colPairs / pairs(n) : 0;
+    const maximum = (rowPairs + colPairs) / 2;
+    return maximum === expected ? 1 : (index - expected) / (maximum - expected);
+}
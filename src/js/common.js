@@ -2,72 +2,302 @@
 // common.js — Shared utilities for School of Statistics
 // ============================================================
 
-// --- METRIC EXPLANATIONS (used in tooltip callbacks) ---
-const metricExplanations = {
-    'AUC': {
-        description: "Probability that a randomly chosen positive instance is ranked higher than a randomly chosen negative instance.",
-        range: "0 to 1. 0.5 corresponds to random chance.",
-        formula: "Area Under the ROC Curve"
-    },
-    'Accuracy': {
-        description: "Proportion of all predictions that are correct.",
-        range: "0 to 1.",
-        formula: "(TP + TN) / (TP + TN + FP + FN)"
-    },
-    'Precision': {
-        description: "Proportion of positive predictions that are correct. A high value indicates a low false positive rate.",
-        range: "0 to 1.",
-        formula: "TP / (TP + FP)"
-    },
-    'Recall': {
-        description: "Proportion of actual positives correctly identified. Also called Sensitivity or True Positive Rate.",
-        range: "0 to 1.",
-        formula: "TP / (TP + FN)"
-    },
-    'Specificity': {
-        description: "Proportion of actual negatives correctly identified. Also called True Negative Rate.",
-        range: "0 to 1.",
-        formula: "TN / (TN + FP)"
-    },
-    'F1-Score': {
-        description: "Harmonic mean of Precision and Recall. Balances both metrics in a single value.",
-        range: "0 to 1.",
-        formula: "2 * (Precision * Recall) / (Precision + Recall)"
-    }
-};
+// --- SEEDED RANDOM NUMBER GENERATOR (mulberry32) ---
+// Every random draw in the visualizers goes through seededRandom(), so the same seed reproduces the same data
+let randomState = 42;
+
+function setRandomSeed(seed) {
+    randomState = seed >>> 0;
+}
+
+// Uniform on [0, 1)
+function seededRandom() {
+    randomState = (randomState + 0x6D2B79F5) >>> 0;
+    let t = randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Runs fn() on the stream started from `seed`, then resumes the current stream where it left off
+function withRandomSeed(seed, fn) {
+    const saved = randomState;
+    setRandomSeed(seed);
+    const result = fn();
+    randomState = saved;
+    return result;
+}
+
+// --- SEED CONTROLS ---
+// Each page with random data has a #seedInput field and a #resampleBtn button
+function getSeed() {
+    return parseInt(document.getElementById('seedInput').value) || 0;
+}
+
+// onResample defaults to onChange; pages with hand-edited data pass a separate one so that typing a seed
+// never throws the edits away
+function initSeedControls(onChange, onResample = onChange) {
+    const input = document.getElementById('seedInput');
+    input.addEventListener('input', onChange);
+    document.getElementById('resampleBtn').addEventListener('click', () => {
+        // A fresh seed is the one place where non-reproducible randomness is wanted
+        input.value = Math.floor(Math.random() * 1000000);
+        onResample();
+    });
+}
 
 // --- RANDOM GAUSSIAN (Box-Muller transform) ---
 function randomGaussian(mean = 0, stdDev = 1) {
     let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
+    while (u === 0) u = seededRandom();
+    while (v === 0) v = seededRandom();
     return mean + stdDev * Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 }
 
+// --- RANDOM BINOMIAL ---
+// Inversion of the CDF while the mean is small (cost ~ n·p), normal approximation beyond that
+function randomBinomial(n, p) {
+    if (n <= 0 || p <= 0) return 0;
+    if (p >= 1) return n;
+    if (p > 0.5) return n - randomBinomial(n, 1 - p);
+    if (n * p >= 30) return Math.min(n, Math.max(0, Math.round(randomGaussian(n * p, Math.sqrt(n * p * (1 - p))))));
+    const u = seededRandom();
+    let k = 0, probability = Math.pow(1 - p, n), cumulative = probability;
+    while (u > cumulative && k < n) {
+        probability *= (n - k) / (k + 1) * p / (1 - p);
+        cumulative += probability;
+        k++;
+    }
+    return k;
+}
+
+// --- RANDOM STUDENT-T (heavy tails; df > 0 integer) ---
+function randomStudentT(df) {
+    let chiSquare = 0;
+    for (let i = 0; i < df; i++) chiSquare += randomGaussian() ** 2;
+    return randomGaussian() / Math.sqrt(chiSquare / df);
+}
+
+// --- NORMAL, BETA AND STUDENT-T DISTRIBUTIONS (CDFs and quantile functions) ---
+// Standard normal CDF via the Abramowitz & Stegun 7.1.26 erf approximation (|error| < 1.5e-7)
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse of the standard normal CDF (Acklam's rational approximation, relative error < 1.2e-9)
+function normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+    if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+    const q = p - 0.5, r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Lanczos approximation of ln Γ(x) for x > 0
+function logGamma(x) {
+    const g = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x, series = 1.000000000190015;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    g.forEach(coefficient => { series += coefficient / ++y; });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Regularized incomplete beta I_x(a, b), i.e. the Beta(a, b) CDF, by Lentz's continued fraction
+function regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    // The fraction converges fast only below the mean; use the symmetry I_x(a, b) = 1 - I_(1-x)(b, a) above it
+    if (x > (a + 1) / (a + b + 2)) return 1 - regularizedIncompleteBeta(1 - x, b, a);
+    const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - logGamma(a) - logGamma(b) + logGamma(a + b)) / a;
+    const tiny = 1e-30;
+    let c = 1, d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let h = d;
+    for (let m = 1; m <= 200; m++) {
+        for (const numerator of [m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)), -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))]) {
+            d = 1 + numerator * d; d = 1 / (Math.abs(d) < tiny ? tiny : d);
+            c = 1 + numerator / c; if (Math.abs(c) < tiny) c = tiny;
+            h *= d * c;
+        }
+        if (Math.abs(d * c - 1) < 1e-12) break;
+    }
+    return front * h;
+}
+
+// Beta(a, b) quantile by bisection on the CDF (40 halvings of [0, 1] give a 1e-12 bracket)
+function betaQuantile(p, a, b) {
+    let lo = 0, hi = 1;
+    for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2;
+        if (regularizedIncompleteBeta(mid, a, b) < p) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+// Student-t CDF through the incomplete beta: P(|T| > t) = I_(df / (df + t²))(df / 2, 1 / 2)
+function studentTCdf(t, df) {
+    const tail = regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5) / 2;
+    return t >= 0 ? 1 - tail : tail;
+}
+
+// Student-t quantile by bisection on the CDF, bracketed from the normal quantile (t tails are wider)
+function studentTQuantile(p, df) {
+    if (p === 0.5) return 0;
+    if (p < 0.5) return -studentTQuantile(1 - p, df);
+    let lo = 0, hi = Math.max(1, normalQuantile(p));
+    while (studentTCdf(hi, df) < p) hi *= 2;
+    for (let i = 0; i < 60; i++) {
+        const mid = (lo + hi) / 2;
+        if (studentTCdf(mid, df) < p) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+// --- IN-PLACE FISHER-YATES SHUFFLE ---
+function shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(seededRandom() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+// --- 2D GAUSSIAN HELPERS (discriminant analysis and Gaussian mixtures) ---
+function meanOf(X) {
+    return [X.reduce((a, b) => a + b.x, 0) / X.length, X.reduce((a, b) => a + b.y, 0) / X.length];
+}
+
+// Returns the 2x2 scatter matrix [[sxx, sxy], [sxy, syy]] of X around mean (not normalized)
+function scatterOf(X, mean) {
+    let sxx = 0, sxy = 0, syy = 0;
+    X.forEach(p => { const dx = p.x - mean[0], dy = p.y - mean[1]; sxx += dx * dx; sxy += dx * dy; syy += dy * dy; });
+    return [[sxx, sxy], [sxy, syy]];
+}
+
+// Log-density of a bivariate normal; a small ridge keeps degenerate covariances invertible
+function logGaussian2D(point, mean, cov) {
+    const a = cov[0][0] + 1e-9, b = cov[0][1], d = cov[1][1] + 1e-9;
+    const det = Math.max(1e-12, a * d - b * b);
+    const dx = point.x - mean[0], dy = point.y - mean[1];
+    const mahalanobis = (d * dx * dx - 2 * b * dx * dy + a * dy * dy) / det;
+    return -Math.log(2 * Math.PI) - 0.5 * Math.log(det) - 0.5 * mahalanobis;
+}
+
 // --- ROC CURVE & AUC CALCULATION ---
 function calculateRocAndAuc(labels, scores) {
-    const pairs = labels.map((label, i) => ({ label, score: scores[i] }));
-    pairs.sort((a, b) => b.score - a.score);
-    let tp = 0, fp = 0;
-    const total_pos = labels.filter(l => l === 1).length;
-    const total_neg = labels.length - total_pos;
+    const order = labels.map((_, i) => i).sort((a, b) => scores[b] - scores[a]);
+    return calculateWeightedRoc(order, labels, scores, null);
+}
+
+// ROC walk over point indices sorted by decreasing score; weights[i] (default 1) is how many times
+// point i counts, which lets bootstrap resamples reuse a single sort. keepPoints = false skips the curve
+// itself when only the AUC is needed.
+function calculateWeightedRoc(order, labels, scores, weights, keepPoints = true) {
+    const weight = i => (weights ? weights[i] : 1);
+    let tp = 0, fp = 0, total_pos = 0, total_neg = 0;
+    order.forEach(i => { if (labels[i] === 1) total_pos += weight(i); else total_neg += weight(i); });
     if (total_pos === 0 || total_neg === 0) {
         return { rocPoints: [{ x: 0, y: 0 }, { x: 1, y: 1 }], auc: 0.5 };
     }
     const rocPoints = [{ x: 0, y: 0 }];
     let auc = 0, prev_tpr = 0, prev_fpr = 0;
-    for (const pair of pairs) {
-        if (pair.label === 1) tp++; else fp++;
+    for (let k = 0; k < order.length; k++) {
+        const i = order[k];
+        if (weight(i) === 0) continue;
+        if (labels[i] === 1) tp += weight(i); else fp += weight(i);
+        // Tied scores form a single diagonal step (otherwise their order would bias the AUC)
+        let next = k + 1;
+        while (next < order.length && weight(order[next]) === 0) next++;
+        if (next < order.length && scores[order[next]] === scores[i]) continue;
         const tpr = total_pos > 0 ? tp / total_pos : 0;
         const fpr = total_neg > 0 ? fp / total_neg : 0;
         auc += (tpr + prev_tpr) / 2 * (fpr - prev_fpr);
-        rocPoints.push({ x: fpr, y: tpr });
+        if (keepPoints) rocPoints.push({ x: fpr, y: tpr });
         prev_tpr = tpr;
         prev_fpr = fpr;
     }
     return { rocPoints, auc };
 }
 
+// --- PRECISION-RECALL CURVE & AVERAGE PRECISION ---
+// Points are emitted once per distinct score (ties form a single step). The curve must be drawn as a
+// step function (precision of each point holds back to the previous recall): linear interpolation
+// between PR points is optimistic. Average precision is the matching step sum, AP = Σ (Rₙ − Rₙ₋₁) Pₙ.
+function calculatePrecisionRecall(labels, scores) {
+    const pairs = labels.map((label, i) => ({ label, score: scores[i] }));
+    pairs.sort((a, b) => b.score - a.score);
+    const total_pos = labels.filter(l => l === 1).length;
+    const prevalence = labels.length > 0 ? total_pos / labels.length : 0;
+    if (total_pos === 0) {
+        return { prPoints: [{ x: 0, y: 0 }, { x: 1, y: 0 }], averagePrecision: 0, prevalence };
+    }
+    const prPoints = [];
+    let tp = 0, fp = 0, averagePrecision = 0, prev_recall = 0;
+    for (let i = 0; i < pairs.length; i++) {
+        if (pairs[i].label === 1) tp++; else fp++;
+        if (i < pairs.length - 1 && pairs[i + 1].score === pairs[i].score) continue;
+        const precision = tp / (tp + fp);
+        const recall = tp / total_pos;
+        if (prPoints.length === 0) prPoints.push({ x: 0, y: precision });
+        averagePrecision += (recall - prev_recall) * precision;
+        prPoints.push({ x: recall, y: precision });
+        prev_recall = recall;
+    }
+    return { prPoints, averagePrecision, prevalence };
+}
+
+// --- CUMULATIVE GAINS & LIFT ---
+// Population sorted by decreasing score; one point per distinct score (ties are targeted together).
+// Gain = share of all positives captured in the top x of the population, cumulative lift = gain / x.
+function calculateGainsAndLift(labels, scores) {
+    const pairs = labels.map((label, i) => ({ label, score: scores[i] }));
+    pairs.sort((a, b) => b.score - a.score);
+    const total_pos = labels.filter(l => l === 1).length;
+    const prevalence = labels.length > 0 ? total_pos / labels.length : 0;
+    const gainsPoints = [{ x: 0, y: 0 }], liftPoints = [];
+    if (total_pos === 0) return { gainsPoints: [{ x: 0, y: 0 }, { x: 1, y: 0 }], liftPoints: [], prevalence };
+    let tp = 0;
+    for (let i = 0; i < pairs.length; i++) {
+        if (pairs[i].label === 1) tp++;
+        if (i < pairs.length - 1 && pairs[i + 1].score === pairs[i].score) continue;
+        const targeted = (i + 1) / pairs.length, gain = tp / total_pos;
+        gainsPoints.push({ x: targeted, y: gain });
+        liftPoints.push({ x: targeted, y: gain / targeted });
+    }
+    return { gainsPoints, liftPoints, prevalence };
+}
+
+// --- KOLMOGOROV-SMIRNOV STATISTIC ---
+// Empirical score CDFs of each class; KS = max |F₀(s) − F₁(s)|, which equals the best Youden's J
+function calculateKolmogorovSmirnov(labels, scores) {
+    const pairs = labels.map((label, i) => ({ label, score: scores[i] }));
+    pairs.sort((a, b) => a.score - b.score);
+    const total_pos = labels.filter(l => l === 1).length;
+    const total_neg = labels.length - total_pos;
+    let neg = 0, pos = 0, ks = 0, ksPoint = null;
+    if (total_pos === 0 || total_neg === 0) return { negativeCdf: [], positiveCdf: [], ks, ksPoint };
+    // Right-continuous steps (draw with stepped: 'before', which holds each value up to the next score), starting from 0 just below the lowest score
+    const negativeCdf = [{ x: pairs[0].score, y: 0 }], positiveCdf = [{ x: pairs[0].score, y: 0 }];
+    for (let i = 0; i < pairs.length; i++) {
+        if (pairs[i].label === 1) pos++; else neg++;
+        if (i < pairs.length - 1 && pairs[i + 1].score === pairs[i].score) continue;
+        const score = pairs[i].score, fNeg = neg / total_neg, fPos = pos / total_pos;
+        negativeCdf.push({ x: score, y: fNeg });
+        positiveCdf.push({ x: score, y: fPos });
+        if (Math.abs(fNeg - fPos) > ks) { ks = Math.abs(fNeg - fPos); ksPoint = { score, negative: fNeg, positive: fPos }; }
+    }
+    return { negativeCdf, positiveCdf, ks, ksPoint };
+}
+
 // --- CONFUSION MATRIX DRAWING (Canvas 2D) ---
 function drawConfusionMatrix(canvasId, tp, fp, tn, fn) {
     const canvas = document.getElementById(canvasId);
@@ -115,6 +345,174 @@ function drawConfusionMatrix(canvasId, tp, fp, tn, fn) {
     ctx.restore();
 }
 
+// --- MULTI-CLASS CONFUSION MATRIX & METRICS ---
+// matrix[t][p] counts the instances of true class t predicted as class p
+function buildConfusionMatrix(labels, predictions, nClasses) {
+    const matrix = Array.from({ length: nClasses }, () => new Array(nClasses).fill(0));
+    labels.forEach((label, i) => { matrix[label][predictions[i]]++; });
+    return matrix;
+}
+
+// Per-class precision/recall/F1 plus macro (unweighted), micro (pooled counts) and weighted (by support) averages
+function calculateMultiClassMetrics(matrix) {
+    const n = matrix.length;
+    const total = matrix.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0);
+    const perClass = matrix.map((row, k) => {
+        const tp = row[k];
+        const support = row.reduce((a, b) => a + b, 0);
+        const predicted = matrix.reduce((sum, r) => sum + r[k], 0);
+        const precision = predicted > 0 ? tp / predicted : 0;
+        const recall = support > 0 ? tp / support : 0;
+        const f1 = (precision + recall) > 0 ? 2 * precision * recall / (precision + recall) : 0;
+        return { precision, recall, f1, support };
+    });
+    const average = (key, weights) => {
+        const totalWeight = weights.reduce((a, b) => a + b, 0);
+        return totalWeight > 0 ? perClass.reduce((sum, c, k) => sum + c[key] * weights[k], 0) / totalWeight : 0;
+    };
+    const uniform = new Array(n).fill(1), supports = perClass.map(c => c.support);
+    // In single-label classification pooled precision, recall and F1 all equal the accuracy
+    const accuracy = total > 0 ? matrix.reduce((sum, row, k) => sum + row[k], 0) / total : 0;
+    return {
+        perClass,
+        accuracy,
+        macro: { precision: average('precision', uniform), recall: average('recall', uniform), f1: average('f1', uniform) },
+        micro: { precision: accuracy, recall: accuracy, f1: accuracy },
+        weighted: { precision: average('precision', supports), recall: average('recall', supports), f1: average('f1', supports) }
+    };
+}
+
+// --- MULTI-CLASS CONFUSION MATRIX DRAWING (Canvas 2D) ---
+// Rows are true classes (top to bottom), columns predicted classes (left to right)
+function drawMultiClassConfusionMatrix(canvasId, matrix, classLabels) {
+    const canvas = document.getElementById(canvasId);
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width, h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+
+    const n = matrix.length;
+    const margin = 50;
+    const gridW = w - margin, gridH = h - margin;
+    const cellW = gridW / n, cellH = gridH / n;
+    const max_val = Math.max(...matrix.flat());
+    const baseColor = [8, 48, 107];
+    const fontSize = Math.max(10, Math.min(18, Math.floor(cellH / 3)));
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    matrix.forEach((row, t) => {
+        row.forEach((value, p) => {
+            const intensity = max_val > 0 ? value / max_val : 0;
+            const x = margin + p * cellW, y = t * cellH;
+            ctx.fillStyle = `rgba(${baseColor[0]}, ${baseColor[1]}, ${baseColor[2]}, ${intensity})`;
+            ctx.fillRect(x, y, cellW, cellH);
+            ctx.strokeStyle = t === p ? '#FB8C00' : 'rgba(0, 0, 0, 0.1)';
+            ctx.lineWidth = t === p ? 2 : 1;
+            ctx.strokeRect(x + 1, y + 1, cellW - 2, cellH - 2);
+            ctx.fillStyle = intensity > 0.5 ? 'white' : 'black';
+            ctx.font = `${fontSize}px Segoe UI`;
+            ctx.fillText(value, x + cellW / 2, y + cellH / 2);
+        });
+    });
+
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 12px Segoe UI';
+    classLabels.forEach((label, k) => {
+        ctx.fillText(label, margin + k * cellW + cellW / 2, gridH + 20);
+        ctx.save();
+        ctx.translate(20, k * cellH + cellH / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(label, 0, 0);
+        ctx.restore();
+    });
+}
+
+// --- BOOTSTRAP CONFIDENCE INTERVALS ---
+const BOOTSTRAP_CONFIDENCE = 0.95;
+
+// Stratified bootstrap: each resample draws, with replacement, as many indices from every class as the
+// sample holds, so resamples keep the original class counts and never lose a class entirely
+function bootstrapResamples(labels, nResamples = 500) {
+    const byClass = {};
+    labels.forEach((label, i) => { (byClass[label] = byClass[label] || []).push(i); });
+    const groups = Object.values(byClass);
+    return Array.from({ length: nResamples }, () => {
+        const indices = [];
+        groups.forEach(group => { for (let j = 0; j < group.length; j++) indices.push(group[Math.floor(seededRandom() * group.length)]); });
+        return indices;
+    });
+}
+
+// Linear-interpolated quantile of an ascending array
+function quantile(sorted, q) {
+    if (sorted.length === 0) return NaN;
+    const pos = (sorted.length - 1) * q, lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Percentile intervals: statistic(replicate, r) returns an array of metric values for the r-th resample,
+// and each metric gets the [α/2, 1 − α/2] quantiles of its bootstrap replicates
+function bootstrapIntervals(resamples, statistic, confidence = BOOTSTRAP_CONFIDENCE) {
+    const replicates = resamples.map(statistic);
+    if (replicates.length === 0) return [];
+    const alpha = 1 - confidence;
+    return replicates[0].map((_, m) => {
+        const values = replicates.map(r => r[m]).filter(v => isFinite(v)).sort((a, b) => a - b);
+        return [quantile(values, alpha / 2), quantile(values, 1 - alpha / 2)];
+    });
+}
+
+// ROC curve and AUC of every resample: the scores are sorted once and each resample only reweights points
+function bootstrapRoc(labels, scores, resamples, keepPoints = true) {
+    const order = labels.map((_, i) => i).sort((a, b) => scores[b] - scores[a]);
+    return resamples.map(indices => {
+        const weights = new Array(labels.length).fill(0);
+        indices.forEach(i => { weights[i]++; });
+        return calculateWeightedRoc(order, labels, scores, weights, keepPoints);
+    });
+}
+
+// TPR of a ROC polyline at a given FPR (the highest TPR where the curve is vertical)
+function interpolateRoc(rocPoints, fpr) {
+    for (let i = rocPoints.length - 1; i > 0; i--) {
+        const a = rocPoints[i - 1], b = rocPoints[i];
+        if (a.x <= fpr && fpr <= b.x) return b.x === a.x ? b.y : a.y + (b.y - a.y) * (fpr - a.x) / (b.x - a.x);
+    }
+    return rocPoints.length ? rocPoints[0].y : 0;
+}
+
+// Pointwise ROC band: the bootstrap curves are read off at a fixed FPR grid (vertical averaging)
+function calculateRocBand(curves, confidence = BOOTSTRAP_CONFIDENCE, nGrid = 51) {
+    const grid = Array.from({ length: nGrid }, (_, i) => i / (nGrid - 1));
+    const intervals = bootstrapIntervals(curves, curve => grid.map(fpr => interpolateRoc(curve.rocPoints, fpr)), confidence);
+    if (!intervals.length) return { lower: [], upper: [] };
+    return {
+        lower: grid.map((x, i) => ({ x, y: intervals[i][0] })),
+        upper: grid.map((x, i) => ({ x, y: intervals[i][1] }))
+    };
+}
+
+// --- BINOMIAL PROPORTION CONFIDENCE INTERVALS ---
+// Wilson score interval: inverts the normal test rather than the estimate, so it stays inside [0, 1] and
+// keeps close to nominal coverage with small counts
+function wilsonInterval(successes, trials, confidence = BOOTSTRAP_CONFIDENCE) {
+    if (trials === 0) return [NaN, NaN];
+    const z = normalQuantile(1 - (1 - confidence) / 2), p = successes / trials, shrink = z * z / trials;
+    const center = (p + shrink / 2) / (1 + shrink);
+    const half = z * Math.sqrt(p * (1 - p) / trials + z * z / (4 * trials * trials)) / (1 + shrink);
+    return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+// Clopper–Pearson interval from beta quantiles: coverage is guaranteed, at the price of being conservative
+function clopperPearsonInterval(successes, trials, confidence = BOOTSTRAP_CONFIDENCE) {
+    if (trials === 0) return [NaN, NaN];
+    const alpha = 1 - confidence;
+    return [
+        successes === 0 ? 0 : betaQuantile(alpha / 2, successes, trials - successes + 1),
+        successes === trials ? 1 : betaQuantile(1 - alpha / 2, successes + 1, trials - successes)
+    ];
+}
+
 // --- CUSTOM DATALABELS PLUGIN (for bar charts) ---
 const customDatalabelsPlugin = {
     id: 'customDatalabels',
@@ -128,7 +526,7 @@ const customDatalabelsPlugin = {
             const meta = chart.getDatasetMeta(i);
             meta.data.forEach((bar, index) => {
                 const data = dataset.data[index];
-                if (bar.height > 15) {
+                if (data !== null && bar.height > 15) {
                     ctx.textBaseline = 'bottom';
                     ctx.fillText(data.toFixed(3), bar.x, bar.y + bar.height - 5);
                 }
@@ -138,6 +536,83 @@ const customDatalabelsPlugin = {
     }
 };
 
+// --- ERROR BARS PLUGIN (for bar charts) ---
+// Draws whiskers from options.plugins.errorBars = { intervals: [[lower, upper], ...] } (one pair per bar)
+const errorBarsPlugin = {
+    id: 'errorBars',
+    afterDatasetsDraw: (chart, args, options) => {
+        if (!options.intervals || !options.intervals.length) return;
+        const ctx = chart.ctx, yScale = chart.scales.y;
+        ctx.save();
+        ctx.strokeStyle = '#212121';
+        ctx.lineWidth = 1.5;
+        chart.getDatasetMeta(0).data.forEach((bar, index) => {
+            const interval = options.intervals[index];
+            if (!interval || !isFinite(interval[0]) || !isFinite(interval[1])) return;
+            const top = yScale.getPixelForValue(interval[1]), bottom = yScale.getPixelForValue(interval[0]);
+            const half = bar.width / 6;
+            ctx.beginPath();
+            ctx.moveTo(bar.x, top); ctx.lineTo(bar.x, bottom);
+            ctx.moveTo(bar.x - half, top); ctx.lineTo(bar.x + half, top);
+            ctx.moveTo(bar.x - half, bottom); ctx.lineTo(bar.x + half, bottom);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+};
+
+// --- GAINS / LIFT / KS CHART (tabbed view shared by the classifier pages) ---
+function createGainsChart(canvasId) {
+    const ctx = document.getElementById(canvasId).getContext('2d');
+    return new Chart(ctx, { type: 'scatter', data: { datasets: [] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: { min: 0, max: 1, title: { display: true, text: '' } }, y: { min: 0, title: { display: true, text: '' } } } } });
+}
+
+// view is 'gains', 'lift' or 'ks'; the datasets are rebuilt for the selected view
+function updateGainsChart(chart, view, labels, scores) {
+    const line = (label, data, color, extra = {}) => ({ label, data, borderColor: color, backgroundColor: 'transparent', showLine: true, pointRadius: 0, borderWidth: 2, ...extra });
+    const dashed = { borderDash: [5, 5], borderWidth: 1.5 };
+    const { gainsPoints, liftPoints, prevalence } = calculateGainsAndLift(labels, scores);
+    let datasets, xTitle, yTitle, xMin = 0, xMax = 1, yMax;
+    if (view === 'lift') {
+        // A perfect model targets positives first: lift 1/prevalence until all of them are captured
+        const perfect = Array.from({ length: 100 }, (_, i) => (i + 1) / 100).map(x => ({ x, y: prevalence > 0 ? Math.min(1 / prevalence, 1 / x) : 0 }));
+        datasets = [line('Model Lift', liftPoints, '#1E88E5', { borderWidth: 3 }), line('Baseline (random)', [{ x: 0, y: 1 }, { x: 1, y: 1 }], '#666', dashed), line('Perfect Model', perfect, '#388E3C', dashed)];
+        xTitle = 'Fraction of Population Targeted';
+        yTitle = 'Cumulative Lift';
+    } else if (view === 'ks') {
+        const { negativeCdf, positiveCdf, ks, ksPoint } = calculateKolmogorovSmirnov(labels, scores);
+        datasets = [line('Negative Class CDF', negativeCdf, '#0D47A1', { stepped: 'before', borderWidth: 3 }), line('Positive Class CDF', positiveCdf, '#B71C1C', { stepped: 'before', borderWidth: 3 })];
+        if (ksPoint) datasets.push(line(`KS = ${ks.toFixed(3)} at score ${ksPoint.score.toFixed(3)}`, [{ x: ksPoint.score, y: ksPoint.negative }, { x: ksPoint.score, y: ksPoint.positive }], '#FB8C00', { borderWidth: 3, pointRadius: 4, backgroundColor: '#FB8C00' }));
+        const all = scores.length ? [Math.min(...scores), Math.max(...scores)] : [0, 1];
+        [xMin, xMax] = [Math.min(0, all[0]), Math.max(1, all[1])];
+        xTitle = 'Score';
+        yTitle = 'Cumulative Fraction of Class';
+        yMax = 1;
+    } else {
+        datasets = [line('Model Gains', gainsPoints, '#1E88E5', { borderWidth: 3 }), line('Random Targeting', [{ x: 0, y: 0 }, { x: 1, y: 1 }], '#666', dashed), line('Perfect Model', [{ x: 0, y: 0 }, { x: prevalence, y: 1 }, { x: 1, y: 1 }], '#388E3C', dashed)];
+        xTitle = 'Fraction of Population Targeted';
+        yTitle = 'Fraction of Positives Captured';
+        yMax = 1;
+    }
+    chart.data.datasets = datasets;
+    Object.assign(chart.options.scales.x, { min: xMin, max: xMax });
+    chart.options.scales.x.title.text = xTitle;
+    chart.options.scales.y.max = yMax;
+    chart.options.scales.y.title.text = yTitle;
+    chart.update('none');
+}
+
+// Wires a .tab-bar of buttons carrying data-view attributes; onSelect(view) runs on every switch
+function initTabBar(barId, onSelect) {
+    const buttons = document.querySelectorAll(`#${barId} .tab-button`);
+    buttons.forEach(button => {
+        button.addEventListener('click', () => {
+            buttons.forEach(b => b.classList.toggle('active', b === button));
+            onSelect(button.dataset.view);
+        });
+    });
+}
+
 // --- DEBOUNCE UTILITY ---
 function debounce(func, wait) {
     let timeout;
@@ -187,19 +662,3 @@ function makeDraggable(element, handle) {
         document.onmousemove = null;
     };
 }
-
-// --- METRICS BAR CHART TOOLTIP CALLBACK ---
-function metricsTooltipCallback(context) {
-    const label = context.chart.data.labels[context.dataIndex];
-    const value = context.raw.toFixed(3);
-    const explanation = metricExplanations[label];
-    let tooltipText = [`${label}: ${value}`];
-    if (explanation) {
-        tooltipText.push('');
-        const roleLines = `${explanation.description}`.match(/.{1,50}(\s|$)/g) || [];
-        roleLines.forEach(line => tooltipText.push(line.trim()));
-        tooltipText.push(`Range: ${explanation.range}`);
-        tooltipText.push(`Formula: ${explanation.formula}`);
-    }
-    return tooltipText;
-}
@@ -0,0 +1,140 @@
+// ============================================================
+// datasets.js — Synthetic 2D classification datasets
+// ============================================================
+
+// Every generator receives the number of points of each class (counts[c] for class c) and the
+// shared shape controls, and returns { data: [{x, y}], labels } ordered by class. `separation`
+// moves the classes apart and `stdDev` sets their spread (or the jitter of the curved shapes).
+// Shapes that only make sense for two classes read counts[0] (negatives) and counts[1] (positives).
+const DATASET_GENERATORS = {
+    // Gaussian blobs evenly spaced on a circle (two classes: on the x-axis); class c has feature
+    // correlation correlations[c] (0 when missing)
+    blobs: (counts, { separation, stdDev, correlations = [] }) => fromSamplers(counts, counts.map((_, c) =>
+        correlatedSampler(blobCenter(c, counts.length, separation), stdDev, correlations[c] || 0)
+    )),
+
+    // Interleaving half circles; separation pulls the lower moon down
+    moons: (counts, { separation, stdDev }) => {
+        const radius = 3, jitter = stdDev * 0.3;
+        return fromSamplers(counts, [
+            () => { const t = seededRandom() * Math.PI; return { x: radius * Math.cos(t) - radius / 2 + randomGaussian(0, jitter), y: radius * Math.sin(t) - radius / 4 + separation / 4 + randomGaussian(0, jitter) }; },
+            () => { const t = seededRandom() * Math.PI; return { x: radius / 2 - radius * Math.cos(t) + randomGaussian(0, jitter), y: radius / 4 - radius * Math.sin(t) - separation / 4 + randomGaussian(0, jitter) }; }
+        ]);
+    },
+
+    // Positive disc inside a negative ring whose radius grows with separation
+    circles: (counts, { separation, stdDev }) => {
+        const inner = 2, outer = inner + separation, jitter = stdDev * 0.3;
+        const ring = (r) => { const t = seededRandom() * 2 * Math.PI; return { x: r * Math.cos(t) + randomGaussian(0, jitter), y: r * Math.sin(t) + randomGaussian(0, jitter) }; };
+        return fromSamplers(counts, [() => ring(outer), () => ring(inner)]);
+    },
+
+    // Four blobs on the corners of a square; diagonal corners share a class
+    xor: (counts, { separation, stdDev }) => {
+        const h = Math.max(separation, 0.1) / 2;
+        const corner = (sign) => { const sx = seededRandom() < 0.5 ? -1 : 1; return { x: randomGaussian(sx * h, stdDev), y: randomGaussian(sign * sx * h, stdDev) }; };
+        return fromSamplers(counts, [() => corner(-1), () => corner(1)]);
+    },
+
+    // Gaussian blobs with strongly correlated features (rotated covariance, rho = 0.9)
+    correlated: (counts, { separation, stdDev }) => fromSamplers(counts, [
+        correlatedSampler([-separation / 2, 0], stdDev, CORRELATED_RHO),
+        correlatedSampler([separation / 2, 0], stdDev, CORRELATED_RHO)
+    ]),
+
+    // Blobs with Student-t noise (2 degrees of freedom): occasional far outliers
+    heavyTailed: (counts, { separation, stdDev }) => fromSamplers(counts, [
+        () => ({ x: -separation / 2 + stdDev * randomStudentT(2), y: stdDev * randomStudentT(2) }),
+        () => ({ x: separation / 2 + stdDev * randomStudentT(2), y: stdDev * randomStudentT(2) })
+    ]),
+
+    // One spiral arm per class; separation adds turns, stdDev the jitter
+    spirals: (counts, { separation, stdDev }) => {
+        const turns = 0.5 + separation / 10, radius = 5, jitter = stdDev * 0.25;
+        return fromSamplers(counts, counts.map((_, c) => () => {
+            const t = 0.1 + 0.9 * seededRandom();
+            const angle = 2 * Math.PI * (turns * t + c / counts.length);
+            return { x: radius * t * Math.cos(angle) + randomGaussian(0, jitter), y: radius * t * Math.sin(angle) + randomGaussian(0, jitter) };
+        }));
+    }
+};
+
+// Datasets defined for any number of classes; the others are binary only
+const MULTICLASS_DATASETS = ['blobs', 'spirals'];
+
+const CORRELATED_RHO = 0.9;
+
+function blobCenter(c, nClasses, separation) {
+    const angle = Math.PI + 2 * Math.PI * c / nClasses;
+    return [separation / 2 * Math.cos(angle), separation / 2 * Math.sin(angle)];
+}
+
+// Both features have standard deviation stdDev and correlation rho
+function correlatedCovariance(stdDev, rho) {
+    const v = stdDev * stdDev;
+    return [[v, rho * v], [rho * v, v]];
+}
+
+// Draws from N(mean, correlatedCovariance(stdDev, rho)) through its Cholesky factor
+function correlatedSampler(mean, stdDev, rho) {
+    return () => {
+        const z1 = randomGaussian(), z2 = randomGaussian();
+        return { x: mean[0] + stdDev * z1, y: mean[1] + stdDev * (rho * z1 + Math.sqrt(1 - rho * rho) * z2) };
+    };
+}
+
+// True class-conditional Gaussians { mean, covariance } of the shapes that have them
+const DATASET_DENSITIES = {
+    blobs: (counts, { separation, stdDev, correlations = [] }) => counts.map((_, c) => ({
+        mean: blobCenter(c, counts.length, separation),
+        covariance: correlatedCovariance(stdDev, correlations[c] || 0)
+    })),
+    correlated: (counts, { separation, stdDev }) => [-1, 1].map(side => ({
+        mean: [side * separation / 2, 0],
+        covariance: correlatedCovariance(stdDev, CORRELATED_RHO)
+    }))
+};
+
+// Binary-only shapes fall back to blobs beyond two classes
+function resolveDatasetName(name, nClasses) {
+    const usable = nClasses === 2 || MULTICLASS_DATASETS.includes(name);
+    return usable && DATASET_GENERATORS[name] ? name : 'blobs';
+}
+
+// One { mean, covariance } per class, or null when the shape is not Gaussian
+function trueClassDensities(name, { counts, separation, stdDev, correlations }) {
+    const density = DATASET_DENSITIES[resolveDatasetName(name, counts.length)];
+    return density ? density(counts, { separation, stdDev, correlations }) : null;
+}
+
+function fromSamplers(counts, samplers) {
+    const data = [], labels = [];
+    samplers.forEach((sample, c) => {
+        for (let i = 0; i < counts[c]; i++) { data.push(sample()); labels.push(c); }
+    });
+    return { data, labels };
+}
+
+// Moves a random fraction of the points to another (uniformly chosen) class
+function flipLabels(labels, fraction, nClasses = 2) {
+    const flipped = [...labels];
+    const nFlips = Math.round(labels.length * fraction);
+    shuffle(labels.map((_, i) => i)).slice(0, nFlips).forEach(i => {
+        flipped[i] = (flipped[i] + 1 + Math.floor(seededRandom() * (nClasses - 1))) % nClasses;
+    });
+    return flipped;
+}
+
+/**
+ * Generate a labelled 2D dataset
+ *
+ * @param {string} name - Key of DATASET_GENERATORS (binary-only shapes fall back to blobs beyond 2 classes)
+ * @param {Object} options - { counts, separation, stdDev, correlations, labelNoise } with counts[c] points
+ *                           and feature correlation correlations[c] (blobs only) in class c
+ * @returns {Object} - { data, labels }
+ */
+function generateDataset(name, { counts, separation, stdDev, correlations, labelNoise = 0 }) {
+    const generator = DATASET_GENERATORS[resolveDatasetName(name, counts.length)];
+    const { data, labels } = generator(counts, { separation, stdDev, correlations });
+    return { data, labels: labelNoise > 0 ? flipLabels(labels, labelNoise, counts.length) : labels };
+}
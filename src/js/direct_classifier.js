@@ -1,16 +1,51 @@
 // --- GLOBAL VARIABLES ---
-let dataChart, rocChart, metricsChart;
-const N_SAMPLES_PER_CLASS = 100;
+let dataChart, rocChart, prChart, metricsChart, calibrationChart, learningCurveChart, correlationChart, gainsChart;
+let gainsView = 'gains';
+let metricKeys = [...DEFAULT_METRIC_KEYS]; // metrics shown in the binary metrics chart
+let currentRun = null; // { labels, scores, rocPoints, auc, evaluation } of the last fitted model
 
-function generateData(separation, stdDev) {
-    const data = [], labels = [];
-    for (let i = 0; i < N_SAMPLES_PER_CLASS; i++) { data.push({ x: randomGaussian(-separation / 2, stdDev), y: randomGaussian(0, stdDev) }); labels.push(0); }
-    for (let i = 0; i < N_SAMPLES_PER_CLASS; i++) { data.push({ x: randomGaussian(separation / 2, stdDev), y: randomGaussian(0, stdDev) }); labels.push(1); }
-    return { data, labels };
+// Reads the dataset controls; positives are the majority-class size scaled by the imbalance ratio
+function getDatasetOptions() {
+    const nClasses = parseInt(document.getElementById('classesSlider').value);
+    const nMajority = parseInt(document.getElementById('samplesSlider').value);
+    const ratio = parseFloat(document.getElementById('imbalanceSlider').value);
+    return {
+        separation: parseFloat(document.getElementById('separationSlider').value),
+        stdDev: parseFloat(document.getElementById('stdDevSlider').value),
+        // Class sizes shrink geometrically from class 0 (majority) down to ratio × majority for the last class
+        counts: Array.from({ length: nClasses }, (_, c) => Math.max(2, Math.round(nMajority * ratio ** (c / (nClasses - 1))))),
+        correlations: [parseFloat(document.getElementById('correlation0Slider').value), parseFloat(document.getElementById('correlation1Slider').value)],
+        labelNoise: parseFloat(document.getElementById('labelNoiseSlider').value)
+    };
+}
+
+// --- CLASSIFIER CONTRACT ---
+// Every model is built for a known number of classes K (from the dataset options, not inferred from a training
+// set that may miss a class) and exposes fit(X, y) with labels 0..K-1, predict_class_proba(X) -> one probability
+// vector per point (indexed by class), and predict_proba(X) -> P(class 1) for the binary views.
+// Generative models only implement _logPosteriors(point) -> { class: log prior + log likelihood }; the
+// Gaussian ones also expose gaussianComponents() -> the fitted { mean, covariance } of each class.
+class GenerativeClassifier {
+    constructor(nClasses = 2) { this.nClasses = nClasses; }
+    predict_class_proba(X) {
+        return X.map(point => posteriorVector(this._logPosteriors(point), this.nClasses));
+    }
+    predict_proba(X) {
+        return this.predict_class_proba(X).map(probs => probs[1]);
+    }
+}
+
+// Normalizes per-class log-posteriors into a probability vector with the log-sum-exp trick
+function posteriorVector(logPosteriors, nClasses) {
+    const max = Math.max(...Object.values(logPosteriors));
+    const probs = new Array(nClasses).fill(0);
+    let sum = 0;
+    for (const [cls, v] of Object.entries(logPosteriors)) { probs[cls] = Math.exp(v - max); sum += probs[cls]; }
+    return probs.map(p => p / sum);
 }
 
 // --- CLASSIFIER: GAUSSIAN NAIVE BAYES ---
-class GaussianNB {
+class GaussianNB extends GenerativeClassifier {
     fit(X, y) {
         const classes = [...new Set(y)];
         this.classes = classes;
@@ -27,23 +62,348 @@ class GaussianNB {
         }
     }
     _pdf(x, mean, variance) { const exponent = Math.exp(-Math.pow(x - mean, 2) / (2 * variance)); return (1 / Math.sqrt(2 * Math.PI * variance)) * exponent; }
+    _logPosteriors(point) {
+        const posteriors = {};
+        for (const cls of this.classes) {
+            const prior = Math.log(this.params[cls].prior);
+            const likelihood_x = Math.log(this._pdf(point.x, this.params[cls].mean[0], this.params[cls].variance[0]));
+            const likelihood_y = Math.log(this._pdf(point.y, this.params[cls].mean[1], this.params[cls].variance[1]));
+            posteriors[cls] = prior + likelihood_x + likelihood_y;
+        }
+        return posteriors;
+    }
+    // Naive Bayes assumes independent features: its covariance is diagonal
+    gaussianComponents() {
+        return this.classes.map(cls => ({ cls, mean: this.params[cls].mean, covariance: [[this.params[cls].variance[0], 0], [0, this.params[cls].variance[1]]] }));
+    }
+}
+
+// --- CLASSIFIER: LINEAR DISCRIMINANT ANALYSIS (shared covariance) ---
+class LDA extends GenerativeClassifier {
+    fit(X, y) {
+        this.classes = [...new Set(y)];
+        this.params = {};
+        const pooled = [[0, 0], [0, 0]];
+        for (const cls of this.classes) {
+            const X_cls = X.filter((_, i) => y[i] === cls);
+            const mean = meanOf(X_cls);
+            const scatter = scatterOf(X_cls, mean);
+            for (let r = 0; r < 2; r++) for (let c = 0; c < 2; c++) pooled[r][c] += scatter[r][c];
+            this.params[cls] = { prior: X_cls.length / X.length, mean };
+        }
+        const dof = Math.max(1, X.length - this.classes.length);
+        this.covariance = pooled.map(row => row.map(v => v / dof));
+    }
+    _logPosteriors(point) {
+        const posteriors = {};
+        for (const cls of this.classes) posteriors[cls] = Math.log(this.params[cls].prior) + logGaussian2D(point, this.params[cls].mean, this.covariance);
+        return posteriors;
+    }
+    gaussianComponents() {
+        return this.classes.map(cls => ({ cls, mean: this.params[cls].mean, covariance: this.covariance }));
+    }
+}
+
+// --- CLASSIFIER: QUADRATIC DISCRIMINANT ANALYSIS (per-class covariance) ---
+class QDA extends GenerativeClassifier {
+    fit(X, y) {
+        this.classes = [...new Set(y)];
+        this.params = {};
+        for (const cls of this.classes) {
+            const X_cls = X.filter((_, i) => y[i] === cls);
+            const mean = meanOf(X_cls);
+            const dof = Math.max(1, X_cls.length - 1);
+            this.params[cls] = { prior: X_cls.length / X.length, mean, covariance: scatterOf(X_cls, mean).map(row => row.map(v => v / dof)) };
+        }
+    }
+    _logPosteriors(point) {
+        const posteriors = {};
+        for (const cls of this.classes) posteriors[cls] = Math.log(this.params[cls].prior) + logGaussian2D(point, this.params[cls].mean, this.params[cls].covariance);
+        return posteriors;
+    }
+    gaussianComponents() {
+        return this.classes.map(cls => ({ cls, mean: this.params[cls].mean, covariance: this.params[cls].covariance }));
+    }
+}
+
+// --- CLASSIFIER: LOGISTIC REGRESSION (batch gradient descent on standardized features) ---
+class LogisticRegression {
+    constructor(learningRate = 0.5, iterations = 500) {
+        this.learningRate = learningRate;
+        this.iterations = iterations;
+    }
+    _sigmoid(z) { return 1 / (1 + Math.exp(-z)); }
+    fit(X, y) {
+        const [mx, my] = meanOf(X);
+        const sx = Math.sqrt(X.reduce((a, p) => a + (p.x - mx) ** 2, 0) / X.length) || 1;
+        const sy = Math.sqrt(X.reduce((a, p) => a + (p.y - my) ** 2, 0) / X.length) || 1;
+        this.scaling = { mx, my, sx, sy };
+        const Z = X.map(p => [(p.x - mx) / sx, (p.y - my) / sy]);
+        let w0 = 0, w1 = 0, w2 = 0;
+        for (let it = 0; it < this.iterations; it++) {
+            let g0 = 0, g1 = 0, g2 = 0;
+            Z.forEach((z, i) => {
+                const err = this._sigmoid(w0 + w1 * z[0] + w2 * z[1]) - y[i];
+                g0 += err; g1 += err * z[0]; g2 += err * z[1];
+            });
+            w0 -= this.learningRate * g0 / Z.length;
+            w1 -= this.learningRate * g1 / Z.length;
+            w2 -= this.learningRate * g2 / Z.length;
+        }
+        this.weights = [w0, w1, w2];
+    }
     predict_proba(X) {
+        const { mx, my, sx, sy } = this.scaling;
+        const [w0, w1, w2] = this.weights;
+        return X.map(p => this._sigmoid(w0 + w1 * (p.x - mx) / sx + w2 * (p.y - my) / sy));
+    }
+    predict_class_proba(X) {
+        return this.predict_proba(X).map(p => [1 - p, p]);
+    }
+}
+
+// --- MULTI-CLASS WRAPPER: ONE-VS-REST ---
+// Fits one binary model per class (class k vs all others) and renormalizes their probabilities
+class OneVsRestClassifier {
+    constructor(makeBinary, nClasses) {
+        this.makeBinary = makeBinary;
+        this.nClasses = nClasses;
+    }
+    fit(X, y) {
+        this.models = Array.from({ length: this.nClasses }, (_, k) => {
+            const model = this.makeBinary();
+            model.fit(X, y.map(label => (label === k ? 1 : 0)));
+            return model;
+        });
+    }
+    predict_class_proba(X) {
+        const perClass = this.models.map(model => model.predict_proba(X));
+        return X.map((_, i) => {
+            const probs = perClass.map(p => p[i]);
+            const sum = probs.reduce((a, b) => a + b, 0) || 1;
+            return probs.map(p => p / sum);
+        });
+    }
+    predict_proba(X) {
+        return this.predict_class_proba(X).map(probs => probs[1]);
+    }
+}
+
+// --- CLASSIFIER: K-NEAREST NEIGHBORS (fraction of neighbors in each class) ---
+class KNearestNeighbors {
+    constructor(k = 5, nClasses = 2) {
+        this.k = k;
+        this.nClasses = nClasses;
+    }
+    fit(X, y) {
+        this.X = X;
+        this.y = y;
+    }
+    predict_class_proba(X) {
+        const k = Math.min(this.k, this.X.length);
         return X.map(point => {
-            const posteriors = {};
-            for (const cls of this.classes) {
-                const prior = Math.log(this.params[cls].prior);
-                const likelihood_x = Math.log(this._pdf(point.x, this.params[cls].mean[0], this.params[cls].variance[0]));
-                const likelihood_y = Math.log(this._pdf(point.y, this.params[cls].mean[1], this.params[cls].variance[1]));
-                posteriors[cls] = prior + likelihood_x + likelihood_y;
+            const neighbors = this.X
+                .map((p, i) => ({ d: (p.x - point.x) ** 2 + (p.y - point.y) ** 2, label: this.y[i] }))
+                .sort((a, b) => a.d - b.d)
+                .slice(0, k);
+            const votes = new Array(this.nClasses).fill(0);
+            neighbors.forEach(n => { votes[n.label]++; });
+            return votes.map(v => v / k);
+        });
+    }
+    predict_proba(X) {
+        return this.predict_class_proba(X).map(probs => probs[1]);
+    }
+}
+
+// --- CLASSIFIER REGISTRY ---
+// Logistic regression is binary; beyond two classes it is wrapped one-vs-rest
+const CLASSIFIERS = {
+    gnb: (options) => new GaussianNB(options.nClasses),
+    logreg: (options) => (options.nClasses > 2 ? new OneVsRestClassifier(() => new LogisticRegression(), options.nClasses) : new LogisticRegression()),
+    lda: (options) => new LDA(options.nClasses),
+    qda: (options) => new QDA(options.nClasses),
+    knn: (options) => new KNearestNeighbors(options.k, options.nClasses)
+};
+
+function createClassifier(name, options = {}) {
+    const factory = CLASSIFIERS[name] || CLASSIFIERS.gnb;
+    return factory({ nClasses: 2, ...options });
+}
+
+// --- DECISION SURFACE ---
+const SURFACE_RESOLUTION = 60;
+
+// Axis bounds covering the data with a 10% margin, shared by the scatter scales and the surface grid
+function getPlotBounds(data) {
+    const xs = data.map(p => p.x), ys = data.map(p => p.y);
+    const xMin = Math.min(...xs), xMax = Math.max(...xs), yMin = Math.min(...ys), yMax = Math.max(...ys);
+    const xPad = Math.max((xMax - xMin) * 0.1, 0.5), yPad = Math.max((yMax - yMin) * 0.1, 0.5);
+    return { xMin: xMin - xPad, xMax: xMax + xPad, yMin: yMin - yPad, yMax: yMax + yPad };
+}
+
+// Evaluates the model on a regular grid of (resolution + 1)^2 nodes spanning bounds: P(class 1) per node,
+// or the full probability vector per node when multiClass is set
+function computeDecisionSurface(model, bounds, multiClass = false, resolution = SURFACE_RESOLUTION) {
+    const nodes = [];
+    for (let j = 0; j <= resolution; j++) {
+        for (let i = 0; i <= resolution; i++) {
+            nodes.push({ x: bounds.xMin + (bounds.xMax - bounds.xMin) * i / resolution, y: bounds.yMin + (bounds.yMax - bounds.yMin) * j / resolution });
+        }
+    }
+    const probs = multiClass ? model.predict_class_proba(nodes) : model.predict_proba(nodes);
+    const grid = [];
+    for (let j = 0; j <= resolution; j++) grid.push(probs.slice(j * (resolution + 1), (j + 1) * (resolution + 1)));
+    return { bounds, resolution, grid, multiClass };
+}
+
+function argmax(values) {
+    return values.reduce((best, v, i) => (v > values[best] ? i : best), 0);
+}
+
+// Multi-class counterpart of extractContour: cell edges separating nodes with different predicted classes
+function extractClassBoundaries(surface) {
+    const { bounds, resolution, grid } = surface;
+    const dx = (bounds.xMax - bounds.xMin) / resolution, dy = (bounds.yMax - bounds.yMin) / resolution;
+    const predicted = grid.map(row => row.map(argmax));
+    const segments = [];
+    for (let j = 0; j <= resolution; j++) {
+        for (let i = 0; i <= resolution; i++) {
+            const x = bounds.xMin + i * dx, y = bounds.yMin + j * dy;
+            if (i < resolution && predicted[j][i] !== predicted[j][i + 1]) segments.push({ x1: x + dx / 2, y1: y - dy / 2, x2: x + dx / 2, y2: y + dy / 2 });
+            if (j < resolution && predicted[j][i] !== predicted[j + 1][i]) segments.push({ x1: x - dx / 2, y1: y + dy / 2, x2: x + dx / 2, y2: y + dy / 2 });
+        }
+    }
+    return segments;
+}
+
+// Marching squares: returns the segments [{x1, y1, x2, y2}] (data units) where the surface crosses level
+function extractContour(surface, level) {
+    const { bounds, resolution, grid } = surface;
+    const dx = (bounds.xMax - bounds.xMin) / resolution, dy = (bounds.yMax - bounds.yMin) / resolution;
+    const segments = [];
+    const lerp = (a, b) => (level - a) / (b - a);
+    for (let j = 0; j < resolution; j++) {
+        for (let i = 0; i < resolution; i++) {
+            const v00 = grid[j][i], v10 = grid[j][i + 1], v01 = grid[j + 1][i], v11 = grid[j + 1][i + 1];
+            const x0 = bounds.xMin + i * dx, y0 = bounds.yMin + j * dy;
+            const crossings = [];
+            if ((v00 >= level) !== (v10 >= level)) crossings.push({ x: x0 + lerp(v00, v10) * dx, y: y0 });
+            if ((v10 >= level) !== (v11 >= level)) crossings.push({ x: x0 + dx, y: y0 + lerp(v10, v11) * dy });
+            if ((v01 >= level) !== (v11 >= level)) crossings.push({ x: x0 + lerp(v01, v11) * dx, y: y0 + dy });
+            if ((v00 >= level) !== (v01 >= level)) crossings.push({ x: x0, y: y0 + lerp(v00, v01) * dy });
+            if (crossings.length === 2) {
+                segments.push({ x1: crossings[0].x, y1: crossings[0].y, x2: crossings[1].x, y2: crossings[1].y });
+            } else if (crossings.length === 4) {
+                // Saddle cell: resolve the ambiguity with the cell-center value
+                const centerAbove = (v00 + v10 + v01 + v11) / 4 >= level;
+                const pairs = centerAbove === (v00 >= level) ? [[0, 1], [2, 3]] : [[0, 3], [1, 2]];
+                pairs.forEach(([a, b]) => segments.push({ x1: crossings[a].x, y1: crossings[a].y, x2: crossings[b].x, y2: crossings[b].y }));
             }
-            const max_posterior = Math.max(...Object.values(posteriors));
-            const exps = Object.fromEntries(Object.entries(posteriors).map(([k, v]) => [k, Math.exp(v - max_posterior)]));
-            const sum_exps = Object.values(exps).reduce((a, b) => a + b);
-            return exps[1] / sum_exps;
+        }
+    }
+    return segments;
+}
+
+// Class colors as RGB triplets (negative/positive first), used for points and the shaded surface;
+// one per cluster up to the clustersSlider maximum (8)
+const CLASS_RGB = ['13, 71, 161', '183, 28, 28', '46, 125, 50', '245, 124, 0', '106, 27, 154', '0, 131, 143', '194, 24, 91', '93, 64, 55'];
+
+// Chart.js plugin painting the posterior heatmap and the decision contour behind the scatter points.
+// Reads its state from options.plugins.decisionBoundary = { surface, threshold, display }
+const decisionBoundaryPlugin = {
+    id: 'decisionBoundary',
+    beforeDatasetsDraw: (chart, args, options) => {
+        const surface = options.surface;
+        if (!options.display || !surface) return;
+        const { ctx, chartArea, scales } = chart;
+        const { bounds, resolution, grid } = surface;
+        const dx = (bounds.xMax - bounds.xMin) / resolution, dy = (bounds.yMax - bounds.yMin) / resolution;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+        ctx.clip();
+        for (let j = 0; j <= resolution; j++) {
+            for (let i = 0; i <= resolution; i++) {
+                const left = scales.x.getPixelForValue(bounds.xMin + (i - 0.5) * dx), right = scales.x.getPixelForValue(bounds.xMin + (i + 0.5) * dx);
+                const top = scales.y.getPixelForValue(bounds.yMin + (j + 0.5) * dy), bottom = scales.y.getPixelForValue(bounds.yMin + (j - 0.5) * dy);
+                let color, strength;
+                if (surface.multiClass) {
+                    // Shade by the winning class, fading towards a uniform posterior
+                    const probs = grid[j][i], k = argmax(probs), chance = 1 / probs.length;
+                    color = CLASS_RGB[k % CLASS_RGB.length];
+                    strength = (probs[k] - chance) / (1 - chance);
+                } else {
+                    const p = grid[j][i];
+                    color = p >= 0.5 ? CLASS_RGB[1] : CLASS_RGB[0];
+                    strength = Math.abs(p - 0.5) * 2;
+                }
+                ctx.fillStyle = `rgba(${color}, ${(strength * 0.35).toFixed(3)})`;
+                ctx.fillRect(left, top, right - left + 1, bottom - top + 1);
+            }
+        }
+        ctx.strokeStyle = '#212121';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        const segments = surface.multiClass ? extractClassBoundaries(surface) : extractContour(surface, options.threshold);
+        segments.forEach(s => {
+            ctx.moveTo(scales.x.getPixelForValue(s.x1), scales.y.getPixelForValue(s.y1));
+            ctx.lineTo(scales.x.getPixelForValue(s.x2), scales.y.getPixelForValue(s.y2));
         });
+        ctx.stroke();
+        ctx.restore();
     }
+};
+
+// --- GAUSSIAN ELLIPSES ---
+// Radius of the 95% probability contour of a 2D Gaussian in Mahalanobis units: sqrt(χ²₂(0.95))
+const ELLIPSE_RADIUS = Math.sqrt(5.991);
+
+// Points of the ellipse { x : (x − μ)ᵀ Σ⁻¹ (x − μ) = r² }, traced through the Cholesky factor of Σ
+function ellipsePoints(mean, covariance, radius = ELLIPSE_RADIUS, nPoints = 64) {
+    const l11 = Math.sqrt(Math.max(0, covariance[0][0]));
+    const l21 = l11 > 0 ? covariance[1][0] / l11 : 0;
+    const l22 = Math.sqrt(Math.max(0, covariance[1][1] - l21 * l21));
+    return Array.from({ length: nPoints + 1 }, (_, i) => {
+        const t = 2 * Math.PI * i / nPoints, u = radius * Math.cos(t), v = radius * Math.sin(t);
+        return { x: mean[0] + l11 * u, y: mean[1] + l21 * u + l22 * v };
+    });
 }
 
+// Fitted class Gaussians of the model (looking through a recalibration wrapper), or null
+function fittedGaussians(model) {
+    const base = model instanceof CalibratedClassifier ? model.base : model;
+    return base.gaussianComponents ? base.gaussianComponents() : null;
+}
+
+// Chart.js plugin outlining the true (solid) and fitted (dashed) 95% class ellipses on top of the points.
+// Reads options.plugins.gaussianEllipses = { display, truth: [{ mean, covariance }], fitted: [{ cls, mean, covariance }] }
+const gaussianEllipsesPlugin = {
+    id: 'gaussianEllipses',
+    afterDatasetsDraw: (chart, args, options) => {
+        if (!options.display) return;
+        const { ctx, chartArea, scales } = chart;
+        const trace = (ellipse, rgb, dash) => {
+            ctx.strokeStyle = `rgb(${rgb})`;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            ellipsePoints(ellipse.mean, ellipse.covariance).forEach((p, i) => {
+                const px = scales.x.getPixelForValue(p.x), py = scales.y.getPixelForValue(p.y);
+                if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+        };
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+        ctx.clip();
+        ctx.lineWidth = 2;
+        (options.truth || []).forEach((ellipse, c) => trace(ellipse, CLASS_RGB[c % CLASS_RGB.length], []));
+        (options.fitted || []).forEach(ellipse => trace(ellipse, CLASS_RGB[ellipse.cls % CLASS_RGB.length], [6, 4]));
+        ctx.restore();
+    }
+};
+
 // --- METRICS CALCULATIONS ---
 function getConfusionMatrix(labels, scores, threshold) {
     let tp = 0, fp = 0, tn = 0, fn = 0;
@@ -57,50 +417,709 @@ function getConfusionMatrix(labels, scores, threshold) {
     return { tp, fp, tn, fn };
 }
 
-// --- UI UPDATE ---
-function updateApplication() {
-    const separation = parseFloat(document.getElementById('separationSlider').value);
-    const stdDev = parseFloat(document.getElementById('stdDevSlider').value);
-    document.getElementById('separationValue').textContent = separation.toFixed(1);
-    document.getElementById('stdDevValue').textContent = stdDev.toFixed(1);
+// --- THRESHOLD OPTIMIZATION ---
+// Confusion matrices for every distinct cut point, from "all negative" to "all positive".
+// Each threshold sits halfway between two consecutive distinct scores so it survives slider rounding.
+function sweepThresholds(labels, scores) {
+    const order = scores.map((score, i) => ({ score, label: labels[i] })).sort((a, b) => b.score - a.score);
+    const total_pos = labels.filter(l => l === 1).length;
+    const total_neg = labels.length - total_pos;
+    let tp = 0, fp = 0;
+    const sweep = [];
+    // "All negative" is only reachable on the [0, 1] slider when no score equals 1
+    if (!order.length || order[0].score + 1e-6 <= 1) sweep.push({ threshold: order.length ? order[0].score + 1e-6 : 1, tp: 0, fp: 0, tn: total_neg, fn: total_pos });
+    for (let i = 0; i < order.length; i++) {
+        if (order[i].label === 1) tp++; else fp++;
+        if (i < order.length - 1 && order[i + 1].score === order[i].score) continue;
+        const threshold = i < order.length - 1 ? (order[i].score + order[i + 1].score) / 2 : Math.max(0, order[i].score - 1e-6);
+        sweep.push({ threshold, tp, fp, tn: total_neg - fp, fn: total_pos - tp });
+    }
+    return sweep;
+}
+
+const THRESHOLD_OBJECTIVES = {
+    youden: ({ tp, fp, tn, fn }) => (tp + fn > 0 ? tp / (tp + fn) : 0) - (tn + fp > 0 ? fp / (tn + fp) : 0),
+    f1: ({ tp, fp, fn }) => (2 * tp + fp + fn > 0 ? 2 * tp / (2 * tp + fp + fn) : 0),
+    cost: ({ fp, fn }, costs) => -(costs.fp * fp + costs.fn * fn)
+};
+
+// Returns the sweep entry maximising the objective ('youden', 'f1' or 'cost')
+function findOptimalThreshold(labels, scores, objective, costs = { fp: 1, fn: 1 }) {
+    const score = THRESHOLD_OBJECTIVES[objective];
+    return sweepThresholds(labels, scores).reduce((best, entry) => (score(entry, costs) > score(best, costs) ? entry : best));
+}
 
-    const { data, labels } = generateData(separation, stdDev);
-    const model = new GaussianNB();
+function getCosts() {
+    return {
+        fp: Math.max(0, parseFloat(document.getElementById('costFpInput').value) || 0),
+        fn: Math.max(0, parseFloat(document.getElementById('costFnInput').value) || 0)
+    };
+}
+
+// --- MODEL EVALUATION (HOLDOUT & K-FOLD) ---
+function subset(array, indices) { return indices.map(i => array[i]); }
+
+// Indices of each class, shuffled, keyed by class label
+function shuffledIndicesByClass(labels) {
+    const byClass = {};
+    labels.forEach((label, i) => { (byClass[label] = byClass[label] || []).push(i); });
+    return Object.values(byClass).map(shuffle);
+}
+
+// Stratified holdout: every class contributes the same fraction to the test set (at least one point each side)
+function trainTestSplit(labels, testFraction) {
+    const trainIdx = [], testIdx = [];
+    shuffledIndicesByClass(labels).forEach(indices => {
+        const nTest = Math.min(indices.length - 1, Math.max(1, Math.round(indices.length * testFraction)));
+        testIdx.push(...indices.slice(0, nTest));
+        trainIdx.push(...indices.slice(nTest));
+    });
+    return { trainIdx, testIdx };
+}
+
+// Stratified k-fold: each class is dealt round-robin into the k folds
+function stratifiedFolds(labels, k) {
+    const folds = Array.from({ length: k }, () => []);
+    let offset = 0;
+    shuffledIndicesByClass(labels).forEach(indices => {
+        indices.forEach((index, j) => folds[(j + offset) % k].push(index));
+        offset += indices.length;
+    });
+    return folds;
+}
+
+// Every evaluation returns { model, trainIdx, testIdx, train, test, folds } where train/test are
+// { labels, scores }. For k-fold, test holds the pooled out-of-fold scores and model is refit on all data.
+// predict selects the scores: P(class 1) by default, probability vectors in multi-class mode.
+const predictPositive = (model, X) => model.predict_proba(X);
+const predictClasses = (model, X) => model.predict_class_proba(X);
+
+function evaluateHoldout(data, labels, testFraction, makeModel, predict = predictPositive) {
+    const { trainIdx, testIdx } = trainTestSplit(labels, testFraction);
+    const model = makeModel();
+    model.fit(subset(data, trainIdx), subset(labels, trainIdx));
+    return {
+        model, trainIdx, testIdx,
+        train: { labels: subset(labels, trainIdx), scores: predict(model, subset(data, trainIdx)) },
+        test: { labels: subset(labels, testIdx), scores: predict(model, subset(data, testIdx)) },
+        folds: []
+    };
+}
+
+function evaluateKFold(data, labels, k, makeModel, predict = predictPositive) {
+    const outOfFold = new Array(labels.length);
+    const folds = stratifiedFolds(labels, k).map(testIdx => {
+        const held = new Set(testIdx);
+        const trainIdx = labels.map((_, i) => i).filter(i => !held.has(i));
+        const model = makeModel();
+        model.fit(subset(data, trainIdx), subset(labels, trainIdx));
+        const scores = predict(model, subset(data, testIdx));
+        testIdx.forEach((index, j) => { outOfFold[index] = scores[j]; });
+        return { labels: subset(labels, testIdx), scores };
+    });
+    const model = makeModel();
     model.fit(data, labels);
-    const scores = model.predict_proba(data);
-    const { rocPoints, auc } = calculateRocAndAuc(labels, scores);
-    const { tp, fp, tn, fn } = getConfusionMatrix(labels, scores, 0.5);
-    const total = tp + fp + tn + fn;
-    const precision = (tp + fp) > 0 ? tp / (tp + fp) : 0;
-    const recall = (tp + fn) > 0 ? tp / (tp + fn) : 0;
-    const specificity = (tn + fp) > 0 ? tn / (tn + fp) : 0;
-    const f1score = (precision + recall) > 0 ? 2 * (precision * recall) / (precision + recall) : 0;
-    const accuracy = total > 0 ? (tp + tn) / total : 0;
+    return {
+        model, trainIdx: labels.map((_, i) => i), testIdx: [],
+        train: { labels, scores: predict(model, data) },
+        test: { labels, scores: outOfFold },
+        folds
+    };
+}
 
-    drawConfusionMatrix('matrixChart', tp, fp, tn, fn);
+// One-vs-rest ROC curves: class c against all others, scored by its own probability
+function oneVsRestRoc(labels, scores, nClasses) {
+    return Array.from({ length: nClasses }, (_, c) => calculateRocAndAuc(labels.map(l => (l === c ? 1 : 0)), scores.map(s => s[c])));
+}
+
+function argmaxPredictions(scores) { return scores.map(argmax); }
+
+// Values behind the multi-class metrics chart: [macro AUC, accuracy, macro precision, macro recall, macro F1, weighted F1]
+function multiClassMetricValues(labels, scores, nClasses) {
+    const curves = oneVsRestRoc(labels, scores, nClasses);
+    const metrics = calculateMultiClassMetrics(buildConfusionMatrix(labels, argmaxPredictions(scores), nClasses));
+    return [curves.reduce((sum, c) => sum + c.auc, 0) / nClasses, metrics.accuracy, metrics.macro.precision, metrics.macro.recall, metrics.macro.f1, metrics.weighted.f1];
+}
 
-    dataChart.data.datasets[0].data = data.filter((_, i) => labels[i] === 0);
-    dataChart.data.datasets[1].data = data.filter((_, i) => labels[i] === 1);
+// Scores are probability vectors in multi-class mode: AUC and F1 are then macro averages and the threshold is unused
+function summarizeScores(labels, scores, threshold) {
+    if (Array.isArray(scores[0])) {
+        const values = multiClassMetricValues(labels, scores, scores[0].length);
+        return { auc: values[0], accuracy: values[1], f1: values[4] };
+    }
+    const { tp, fp, tn, fn } = getConfusionMatrix(labels, scores, threshold);
+    const { accuracy, f1 } = calculateBinaryMetrics(tp, fp, tn, fn);
+    return { auc: calculateRocAndAuc(labels, scores).auc, accuracy, f1 };
+}
+
+// Mean and sample standard deviation (0 for a single value)
+function meanAndStd(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / Math.max(1, values.length - 1));
+    return { mean, sd };
+}
+
+function renderEvaluationTable(evaluation, threshold) {
+    const rows = [];
+    if (evaluation.folds.length) {
+        const perFold = evaluation.folds.map(fold => summarizeScores(fold.labels, fold.scores, threshold));
+        perFold.forEach((summary, i) => rows.push({ name: `Fold ${i + 1}`, ...summary }));
+        const stats = key => {
+            const { mean, sd } = meanAndStd(perFold.map(s => s[key]));
+            return `${mean.toFixed(3)} ± ${sd.toFixed(3)}`;
+        };
+        rows.push({ name: 'Mean ± SD', auc: stats('auc'), accuracy: stats('accuracy'), f1: stats('f1'), emphasis: true });
+        rows.push({ name: 'Train (all data)', ...summarizeScores(evaluation.train.labels, evaluation.train.scores, threshold) });
+    } else {
+        rows.push({ name: `Train (n = ${evaluation.train.labels.length})`, ...summarizeScores(evaluation.train.labels, evaluation.train.scores, threshold) });
+        rows.push({ name: `Test (n = ${evaluation.test.labels.length})`, ...summarizeScores(evaluation.test.labels, evaluation.test.scores, threshold), emphasis: true });
+    }
+    const format = v => (typeof v === 'number' ? v.toFixed(3) : v);
+    document.getElementById('evaluationTableBody').innerHTML = rows.map(row =>
+        `<tr${row.emphasis ? ' class="emphasis"' : ''}><td>${row.name}</td><td>${format(row.auc)}</td><td>${format(row.accuracy)}</td><td>${format(row.f1)}</td></tr>`
+    ).join('');
+}
+
+// --- NAIVE BAYES VS FEATURE CORRELATION ---
+const CORRELATION_SWEEP = [-0.95, -0.9, -0.75, -0.6, -0.45, -0.3, -0.15, 0, 0.15, 0.3, 0.45, 0.6, 0.75, 0.9, 0.95];
+
+// Test AUC of Naive Bayes (diagonal covariance) and QDA (full covariance) on Gaussian blobs whose classes
+// all share correlation ρ. Each fit is reseeded, so both models see the same draws at every ρ.
+function computeCorrelationSweep(datasetOptions, testFraction, predict) {
+    const nClasses = datasetOptions.counts.length;
+    return CORRELATION_SWEEP.map(rho => {
+        const point = { rho };
+        ['gnb', 'qda'].forEach(name => {
+            setRandomSeed(getSeed());
+            const { data, labels } = generateDataset('blobs', { ...datasetOptions, correlations: new Array(nClasses).fill(rho) });
+            const evaluation = evaluateHoldout(data, labels, testFraction, () => createClassifier(name, { nClasses }), predict);
+            point[name] = summarizeScores(evaluation.test.labels, evaluation.test.scores, 0.5).auc;
+        });
+        return point;
+    });
+}
+
+// Regenerating the blobs and refitting both models at every ρ is too slow for every slider tick: the sweep is redrawn once the inputs settle
+let correlationInput = null;
+
+function updateCorrelationChart() {
+    if (!correlationInput) return;
+    const { datasetOptions, testFraction, predict, multiClass } = correlationInput;
+    const sweep = computeCorrelationSweep(datasetOptions, testFraction, predict);
+    const metricName = multiClass ? 'Macro AUC' : 'AUC';
+    correlationChart.data.datasets[0].label = `Gaussian Naive Bayes (${metricName})`;
+    correlationChart.data.datasets[0].data = sweep.map(p => ({ x: p.rho, y: p.gnb }));
+    correlationChart.data.datasets[1].label = `QDA (${metricName})`;
+    correlationChart.data.datasets[1].data = sweep.map(p => ({ x: p.rho, y: p.qda }));
+    correlationChart.options.scales.y.title.text = `Test ${metricName}`;
+    correlationChart.update('none');
+}
+
+const scheduleCorrelationChart = debounce(updateCorrelationChart, 300);
+
+// --- LEARNING CURVE ---
+const LEARNING_CURVE_FOLDS = 5;
+const LEARNING_CURVE_FRACTIONS = [0.1, 0.2, 0.3, 0.45, 0.6, 0.8, 1];
+
+// Stratified prefix of a shuffled training fold: the first ⌈fraction · n_c⌉ points of each class (at least 2)
+function stratifiedPrefix(labels, indices, fraction) {
+    const byClass = {};
+    indices.forEach(i => { (byClass[labels[i]] = byClass[labels[i]] || []).push(i); });
+    return Object.values(byClass).flatMap(group => group.slice(0, Math.max(2, Math.ceil(group.length * fraction))));
+}
+
+// Cross-validated learning curve: for each training fraction the model is refit on a growing stratified
+// subset of every training fold; returns one { size, train, validation } per fraction, where train and
+// validation hold { mean, sd } of the metric ('auc' or 'accuracy', the latter at threshold 0.5 or argmax)
+function computeLearningCurve(data, labels, makeModel, predict, metric) {
+    const folds = stratifiedFolds(labels, LEARNING_CURVE_FOLDS);
+    const trainFolds = folds.map(testIdx => {
+        const held = new Set(testIdx);
+        return shuffle(labels.map((_, i) => i).filter(i => !held.has(i)));
+    });
+    return LEARNING_CURVE_FRACTIONS.map(fraction => {
+        const train = [], validation = [], sizes = [];
+        folds.forEach((testIdx, f) => {
+            const trainIdx = stratifiedPrefix(labels, trainFolds[f], fraction);
+            const model = makeModel();
+            model.fit(subset(data, trainIdx), subset(labels, trainIdx));
+            train.push(summarizeScores(subset(labels, trainIdx), predict(model, subset(data, trainIdx)), 0.5)[metric]);
+            validation.push(summarizeScores(subset(labels, testIdx), predict(model, subset(data, testIdx)), 0.5)[metric]);
+            sizes.push(trainIdx.length);
+        });
+        return { size: meanAndStd(sizes).mean, train: meanAndStd(train), validation: meanAndStd(validation) };
+    });
+}
+
+// Refitting dozens of models is too slow for every slider tick: the curve is redrawn once the inputs settle
+let learningCurveInput = null;
+
+function updateLearningCurve() {
+    if (!learningCurveInput) return;
+    const metric = document.getElementById('learningCurveMetricSelect').value;
+    const { data, labels, makeModel, predict } = learningCurveInput;
+    setRandomSeed(getSeed());
+    const curve = computeLearningCurve(data, labels, makeModel, predict, metric);
+    const line = (key, offset) => curve.map(p => ({ x: p.size, y: p[key].mean + offset * p[key].sd }));
+    const metricName = metric === 'auc' ? (learningCurveInput.multiClass ? 'Macro AUC' : 'AUC') : 'Accuracy';
+    learningCurveChart.data.datasets[0].label = `Train ${metricName}`;
+    learningCurveChart.data.datasets[0].data = line('train', 0);
+    learningCurveChart.data.datasets[1].data = line('train', -1);
+    learningCurveChart.data.datasets[2].data = line('train', 1);
+    learningCurveChart.data.datasets[3].label = `Validation ${metricName}`;
+    learningCurveChart.data.datasets[3].data = line('validation', 0);
+    learningCurveChart.data.datasets[4].data = line('validation', -1);
+    learningCurveChart.data.datasets[5].data = line('validation', 1);
+    learningCurveChart.options.scales.y.title.text = metricName;
+    learningCurveChart.update('none');
+}
+
+const scheduleLearningCurve = debounce(updateLearningCurve, 300);
+
+// --- PROBABILITY CALIBRATION ---
+const PROBABILITY_EPSILON = 1e-15;
+
+function clipProbability(p) { return Math.min(1 - PROBABILITY_EPSILON, Math.max(PROBABILITY_EPSILON, p)); }
+
+// Reliability diagram: equal-width bins on [0, 1]; ECE weights each bin's |accuracy − confidence| by its size
+function calculateCalibration(labels, scores, nBins = 10) {
+    const bins = Array.from({ length: nBins }, () => ({ count: 0, sumPredicted: 0, positives: 0 }));
+    scores.forEach((score, i) => {
+        const bin = bins[Math.min(nBins - 1, Math.floor(score * nBins))];
+        bin.count++;
+        bin.sumPredicted += score;
+        bin.positives += labels[i];
+    });
+    let ece = 0;
+    const points = [];
+    bins.forEach(bin => {
+        if (bin.count === 0) return;
+        const meanPredicted = bin.sumPredicted / bin.count, fractionPositive = bin.positives / bin.count;
+        ece += bin.count / scores.length * Math.abs(fractionPositive - meanPredicted);
+        points.push({ x: meanPredicted, y: fractionPositive, count: bin.count });
+    });
+    return { points, ece };
+}
+
+function brierScore(labels, scores) {
+    return labels.reduce((sum, label, i) => sum + (scores[i] - label) ** 2, 0) / Math.max(1, labels.length);
+}
+
+function logLoss(labels, scores) {
+    return -labels.reduce((sum, label, i) => sum + (label === 1 ? Math.log(clipProbability(scores[i])) : Math.log(1 - clipProbability(scores[i]))), 0) / Math.max(1, labels.length);
+}
+
+// Platt scaling: p' = σ(a·logit(p) + b), fitted by damped Newton steps on Platt's smoothed targets
+function fitPlattScaling(labels, scores) {
+    const nPos = labels.filter(l => l === 1).length, nNeg = labels.length - nPos;
+    const targets = labels.map(l => (l === 1 ? (nPos + 1) / (nPos + 2) : 1 / (nNeg + 2)));
+    // Hard 0/1 scores (e.g. k-NN) would give infinite logits: clip them to a moderate range
+    const logit = (p) => { const c = Math.min(1 - 1e-6, Math.max(1e-6, p)); return Math.log(c / (1 - c)); };
+    const z = scores.map(logit);
+    const loss = (a, b) => z.reduce((sum, zi, i) => {
+        const f = a * zi + b;
+        // Numerically stable −[t·log σ(f) + (1 − t)·log(1 − σ(f))]
+        return sum + Math.max(f, 0) - targets[i] * f + Math.log1p(Math.exp(-Math.abs(f)));
+    }, 0);
+    let a = 1, b = 0, current = loss(a, b);
+    for (let it = 0; it < 100; it++) {
+        let g0 = 0, g1 = 0, h00 = 1e-6, h01 = 0, h11 = 1e-6;
+        z.forEach((zi, i) => {
+            const p = 1 / (1 + Math.exp(-(a * zi + b)));
+            const w = p * (1 - p);
+            g0 += (p - targets[i]) * zi; g1 += p - targets[i];
+            h00 += w * zi * zi; h01 += w * zi; h11 += w;
+        });
+        const det = h00 * h11 - h01 * h01;
+        if (Math.abs(det) < 1e-12) break;
+        const da = (h11 * g0 - h01 * g1) / det, db = (h00 * g1 - h01 * g0) / det;
+        let step = 1;
+        while (step > 1e-6 && loss(a - step * da, b - step * db) > current) step /= 2;
+        if (step <= 1e-6) break;
+        a -= step * da; b -= step * db;
+        const next = loss(a, b);
+        if (current - next < 1e-10) break;
+        current = next;
+    }
+    return (p) => 1 / (1 + Math.exp(-(a * logit(p) + b)));
+}
+
+// Isotonic regression by pool-adjacent-violators; predictions interpolate linearly between blocks
+function fitIsotonicRegression(labels, scores) {
+    const order = scores.map((score, i) => ({ score, label: labels[i] })).sort((a, b) => a.score - b.score);
+    const blocks = [];
+    order.forEach(({ score, label }) => {
+        blocks.push({ sum: label, count: 1, xMin: score, xMax: score });
+        while (blocks.length > 1 && blocks[blocks.length - 2].sum / blocks[blocks.length - 2].count >= blocks[blocks.length - 1].sum / blocks[blocks.length - 1].count) {
+            const last = blocks.pop(), prev = blocks[blocks.length - 1];
+            prev.sum += last.sum; prev.count += last.count; prev.xMax = last.xMax;
+        }
+    });
+    const steps = blocks.map(b => ({ xMin: b.xMin, xMax: b.xMax, value: b.sum / b.count }));
+    return (p) => {
+        if (!steps.length) return p;
+        if (p <= steps[0].xMax) return steps[0].value;
+        for (let i = 1; i < steps.length; i++) {
+            const prev = steps[i - 1], cur = steps[i];
+            if (p < cur.xMin) return prev.value + (cur.value - prev.value) * (p - prev.xMax) / (cur.xMin - prev.xMax);
+            if (p <= cur.xMax) return cur.value;
+        }
+        return steps[steps.length - 1].value;
+    };
+}
+
+const CALIBRATORS = { platt: fitPlattScaling, isotonic: fitIsotonicRegression };
+
+// Wraps a classifier and recalibrates its probabilities. The calibration map is learned on
+// cross-fitted (3-fold) scores so that an overfitting base model does not calibrate on its own fit.
+class CalibratedClassifier {
+    constructor(makeBase, method, nFolds = 3) {
+        this.makeBase = makeBase;
+        this.method = method;
+        this.nFolds = nFolds;
+    }
+    fit(X, y) {
+        const crossFitted = new Array(y.length);
+        stratifiedFolds(y, this.nFolds).forEach(heldIdx => {
+            const held = new Set(heldIdx);
+            const trainIdx = y.map((_, i) => i).filter(i => !held.has(i));
+            const model = this.makeBase();
+            model.fit(subset(X, trainIdx), subset(y, trainIdx));
+            model.predict_proba(subset(X, heldIdx)).forEach((score, j) => { crossFitted[heldIdx[j]] = score; });
+        });
+        this.calibrate = CALIBRATORS[this.method](y, crossFitted);
+        this.base = this.makeBase();
+        this.base.fit(X, y);
+    }
+    predict_proba(X) {
+        return this.base.predict_proba(X).map(this.calibrate);
+    }
+}
+
+function updateCalibrationView() {
+    if (!currentRun || currentRun.multiClass) return;
+    const nBins = parseInt(document.getElementById('calibrationBinsSlider').value);
+    document.getElementById('calibrationBinsValue').textContent = nBins;
+    const { labels, scores, auc } = currentRun;
+    const { points, ece } = calculateCalibration(labels, scores, nBins);
+    const maxCount = Math.max(1, ...points.map(p => p.count));
+    calibrationChart.data.datasets[0].data = points;
+    calibrationChart.data.datasets[0].pointRadius = points.map(p => 3 + 7 * Math.sqrt(p.count / maxCount));
+    calibrationChart.update('none');
+    document.getElementById('eceValue').textContent = ece.toFixed(4);
+    document.getElementById('brierValue').textContent = brierScore(labels, scores).toFixed(4);
+    document.getElementById('logLossValue').textContent = logLoss(labels, scores).toFixed(4);
+    document.getElementById('calibrationAucValue').textContent = auc.toFixed(4);
+}
+
+// --- CLUSTERING MODE ---
+// The labels are hidden from the model; they only feed the contingency table and the ARI
+const CLUSTERING_STEP_MS = 400;
+let clustering = null; // { model, data, labels, nClasses, nClusters, bounds, showBoundary, showEllipses }
+let clusteringTimer = null;
+
+function startClustering(mode, data, labels, nClasses, options) {
+    const nClusters = parseInt(document.getElementById('clustersSlider').value);
+    document.getElementById('clustersValue').textContent = nClusters;
+    const model = CLUSTERING_MODELS[mode](nClusters);
+    model.init(data);
+    clustering = { model, data, labels, nClasses, nClusters, bounds: getPlotBounds(data), ...options };
+    const color = j => `rgb(${CLASS_RGB[j % CLASS_RGB.length]})`;
+    dataChart.data.datasets = [
+        ...Array.from({ length: nClusters }, (_, j) => ({ label: `Cluster ${j}`, data: [], backgroundColor: color(j) })),
+        { label: mode === 'kmeans' ? 'Centroids' : 'Component Means', data: [], borderColor: '#212121', borderWidth: 3, pointStyle: 'crossRot', pointRadius: 10 }
+    ];
+    chartClasses = 0; // the supervised datasets are rebuilt when leaving this mode
+    renderClustering();
+}
+
+function renderClustering() {
+    const { model, data, labels, nClasses, nClusters, bounds, showBoundary, showEllipses } = clustering;
+    for (let j = 0; j < nClusters; j++) dataChart.data.datasets[j].data = data.filter((_, i) => model.assignments[i] === j);
+    const centers = model.centroids || model.components.map(c => c.mean);
+    dataChart.data.datasets[nClusters].data = centers.map(([x, y]) => ({ x, y }));
+    Object.assign(dataChart.options.scales.x, { min: bounds.xMin, max: bounds.xMax });
+    Object.assign(dataChart.options.scales.y, { min: bounds.yMin, max: bounds.yMax });
+    dataChart.options.plugins.decisionBoundary = { display: showBoundary, surface: showBoundary ? computeDecisionSurface(model, bounds, true) : null };
+    dataChart.options.plugins.gaussianEllipses = { display: showEllipses, truth: [], fitted: fittedGaussians(model) || [] };
     dataChart.update('none');
 
+    const table = contingencyTable(labels, model.assignments, nClasses, nClusters);
+    document.getElementById('contingencyHead').innerHTML = `<tr><th>True \\ Cluster</th>${table[0].map((_, j) => `<th>${j}</th>`).join('')}</tr>`;
+    document.getElementById('contingencyBody').innerHTML = table.map((row, c) => {
+        const best = Math.max(...row);
+        return `<tr><td>${className(c, nClasses)}</td>${row.map(v => `<td${v === best && v > 0 ? ' class="emphasis"' : ''}>${v}</td>`).join('')}</tr>`;
+    }).join('');
+    document.getElementById('clusteringIterationValue').textContent = model.iteration;
+    document.getElementById('clusteringObjectiveLabel').textContent = model instanceof KMeans ? 'Inertia' : 'Log-Likelihood';
+    document.getElementById('clusteringObjectiveValue').textContent = model.objective.toFixed(2);
+    document.getElementById('ariValue').textContent = adjustedRandIndex(table).toFixed(4);
+    document.getElementById('clusteringStatusValue').textContent = model.converged ? 'Converged' : 'Running';
+}
+
+function stepClustering() {
+    if (!clustering) return;
+    clustering.model.step();
+    renderClustering();
+    if (clustering.model.converged) stopClustering();
+}
+
+function stopClustering() {
+    if (clusteringTimer) clearInterval(clusteringTimer);
+    clusteringTimer = null;
+    document.getElementById('playBtn').textContent = 'Play';
+}
+
+function toggleClusteringAnimation() {
+    if (clusteringTimer) { stopClustering(); return; }
+    if (!clustering || clustering.model.converged) return;
+    clusteringTimer = setInterval(stepClustering, CLUSTERING_STEP_MS);
+    document.getElementById('playBtn').textContent = 'Pause';
+}
+
+// --- UI UPDATE ---
+function className(c, nClasses) {
+    return nClasses === 2 ? ['Negative', 'Positive'][c] : `Class ${c}`;
+}
+
+// The scatter and ROC datasets depend on the number of classes, so they are rebuilt when it changes
+let chartClasses = 0;
+
+function rebuildClassDatasets(nClasses) {
+    const color = c => `rgb(${CLASS_RGB[c % CLASS_RGB.length]})`;
+    const classes = Array.from({ length: nClasses }, (_, c) => c);
+    dataChart.data.datasets = [
+        ...classes.map(c => ({ label: `${className(c, nClasses)} Class (train)`, data: [], backgroundColor: color(c) })),
+        ...classes.map(c => ({ label: `${className(c, nClasses)} Class (test)`, data: [], backgroundColor: 'rgba(255, 255, 255, 0.8)', borderColor: color(c), borderWidth: 2, pointStyle: 'rectRot', pointRadius: 5 }))
+    ];
+    const chance = { label: 'Chance Line', data: [{ x: 0, y: 0 }, { x: 1, y: 1 }], borderColor: '#666', showLine: true, pointRadius: 0, borderDash: [5, 5] };
+    rocChart.data.datasets = nClasses === 2
+        ? [{ label: 'Test ROC', data: [], borderColor: '#0D47A1', backgroundColor: 'transparent', showLine: true, pointRadius: 0, borderWidth: 3 }, chance, { label: 'Operating Point', data: [], backgroundColor: '#FB8C00', borderColor: '#212121', borderWidth: 2, pointRadius: 7, pointHoverRadius: 8 }, { label: 'Train ROC', data: [], borderColor: '#90A4AE', backgroundColor: 'transparent', showLine: true, pointRadius: 0, borderWidth: 2 }, { label: `${Math.round(BOOTSTRAP_CONFIDENCE * 100)}% CI Band (bootstrap)`, data: [], borderColor: 'transparent', backgroundColor: 'rgba(13, 71, 161, 0.15)', showLine: true, pointRadius: 0, fill: '+1' }, { label: 'ROC CI Upper', data: [], borderColor: 'transparent', backgroundColor: 'transparent', showLine: true, pointRadius: 0 }]
+        : [...classes.map(c => ({ label: `Class ${c} vs rest`, data: [], borderColor: color(c), backgroundColor: 'transparent', showLine: true, pointRadius: 0, borderWidth: 2 })), chance];
+    chartClasses = nClasses;
+}
+
+function renderPerClassTable(metrics) {
+    const nClasses = metrics.perClass.length;
+    const rows = metrics.perClass.map((c, k) => ({ name: className(k, nClasses), ...c }));
+    const total = rows.reduce((sum, r) => sum + r.support, 0);
+    rows.push({ name: 'Macro avg', ...metrics.macro, support: total, emphasis: true });
+    rows.push({ name: 'Micro avg', ...metrics.micro, support: total });
+    rows.push({ name: 'Weighted avg', ...metrics.weighted, support: total });
+    document.getElementById('perClassTableBody').innerHTML = rows.map(row =>
+        `<tr${row.emphasis ? ' class="emphasis"' : ''}><td>${row.name}</td><td>${row.precision.toFixed(3)}</td><td>${row.recall.toFixed(3)}</td><td>${row.f1.toFixed(3)}</td><td>${row.support}</td></tr>`
+    ).join('');
+}
+
+function updateApplication() {
+    const datasetOptions = getDatasetOptions();
+    const nClasses = datasetOptions.counts.length;
+    const multiClass = nClasses > 2;
+    // Only some dataset shapes generalise beyond two classes
+    const datasetSelect = document.getElementById('datasetSelect');
+    Array.from(datasetSelect.options).forEach(option => { option.disabled = multiClass && !MULTICLASS_DATASETS.includes(option.value); });
+    if (datasetSelect.options[datasetSelect.selectedIndex].disabled) datasetSelect.value = 'blobs';
+    const datasetName = datasetSelect.value;
+    const classifierName = document.getElementById('classifierSelect').value;
+    const k = parseInt(document.getElementById('kSlider').value);
+    const calibrationMethod = multiClass ? 'none' : document.getElementById('calibrationSelect').value;
+    const showBoundary = document.getElementById('showBoundary').checked;
+    const showEllipses = document.getElementById('showEllipses').checked;
+    const evalMode = document.getElementById('evalModeSelect').value;
+    const testFraction = parseFloat(document.getElementById('testFractionSlider').value);
+    const nFolds = parseInt(document.getElementById('foldsSlider').value);
+    const showIntervals = document.getElementById('showIntervals').checked;
+    const nResamples = parseInt(document.getElementById('resamplesSlider').value);
+    const { counts } = datasetOptions;
+    document.getElementById('classesValue').textContent = nClasses;
+    document.getElementById('separationValue').textContent = datasetOptions.separation.toFixed(1);
+    document.getElementById('stdDevValue').textContent = datasetOptions.stdDev.toFixed(1);
+    document.getElementById('samplesValue').textContent = counts[0];
+    document.getElementById('imbalanceValue').textContent = multiClass ? counts.join(' : ') : `${counts[1]} positives : ${counts[0]} negatives`;
+    document.getElementById('labelNoiseValue').textContent = `${Math.round(datasetOptions.labelNoise * 100)}%`;
+    document.getElementById('correlation0Value').textContent = datasetOptions.correlations[0].toFixed(2);
+    document.getElementById('correlation1Value').textContent = datasetOptions.correlations[1].toFixed(2);
+    // Per-class correlations only shape the binary Gaussian blobs
+    ['correlation0Group', 'correlation1Group'].forEach(id => {
+        document.getElementById(id).style.display = !multiClass && datasetName === 'blobs' ? '' : 'none';
+    });
+    document.getElementById('kValue').textContent = k;
+    document.getElementById('testFractionValue').textContent = `${Math.round(testFraction * 100)}%`;
+    document.getElementById('foldsValue').textContent = nFolds;
+    document.getElementById('resamplesValue').textContent = nResamples;
+    document.getElementById('resamplesGroup').style.display = showIntervals ? '' : 'none';
+    document.getElementById('kGroup').style.display = classifierName === 'knn' ? '' : 'none';
+    document.getElementById('testFractionGroup').style.display = evalMode === 'holdout' ? '' : 'none';
+    document.getElementById('foldsGroup').style.display = evalMode === 'kfold' ? '' : 'none';
+    // Threshold, precision-recall and calibration views are defined for binary problems only
+    ['thresholdGroup', 'costGroup', 'calibrationGroup', 'calibrationBinsGroup', 'prCard', 'calibrationCard', 'gainsCard', 'metricPicker'].forEach(id => {
+        document.getElementById(id).style.display = multiClass ? 'none' : '';
+    });
+    document.getElementById('evaluationAucHeader').textContent = multiClass ? 'Macro AUC' : 'AUC';
+    document.getElementById('evaluationF1Header').textContent = multiClass ? 'Macro F1' : 'F1-Score';
+    if (nClasses !== chartClasses) rebuildClassDatasets(nClasses);
+
+    // Reseeding on every update keeps the sample (and split) fixed while only model settings change
+    setRandomSeed(getSeed());
+    const { data, labels } = generateDataset(datasetName, datasetOptions);
+
+    const mode = document.getElementById('modeSelect').value;
+    document.body.classList.toggle('clustering-mode', mode !== 'supervised');
+    stopClustering();
+    if (mode !== 'supervised') {
+        startClustering(mode, data, labels, nClasses, { showBoundary, showEllipses });
+        return;
+    }
+    const makeBase = () => createClassifier(classifierName, { k, nClasses });
+    const makeModel = calibrationMethod === 'none' ? makeBase : () => new CalibratedClassifier(makeBase, calibrationMethod);
+    const predict = multiClass ? predictClasses : predictPositive;
+    learningCurveInput = { data, labels, makeModel, predict, multiClass };
+    scheduleLearningCurve();
+    const evaluation = evalMode === 'kfold' ? evaluateKFold(data, labels, nFolds, makeModel, predict) : evaluateHoldout(data, labels, testFraction, makeModel, predict);
+
+    const trainData = subset(data, evaluation.trainIdx), trainLabels = subset(labels, evaluation.trainIdx);
+    const testData = subset(data, evaluation.testIdx), testLabels = subset(labels, evaluation.testIdx);
+    for (let c = 0; c < nClasses; c++) {
+        dataChart.data.datasets[c].data = trainData.filter((_, i) => trainLabels[i] === c);
+        dataChart.data.datasets[nClasses + c].data = testData.filter((_, i) => testLabels[i] === c);
+    }
+    const bounds = getPlotBounds(data);
+    Object.assign(dataChart.options.scales.x, { min: bounds.xMin, max: bounds.xMax });
+    Object.assign(dataChart.options.scales.y, { min: bounds.yMin, max: bounds.yMax });
+    dataChart.options.plugins.decisionBoundary = { display: showBoundary, surface: showBoundary ? computeDecisionSurface(evaluation.model, bounds, multiClass) : null };
+    dataChart.options.plugins.gaussianEllipses = { display: showEllipses, truth: trueClassDensities(datasetName, datasetOptions) || [], fitted: fittedGaussians(evaluation.model) || [] };
+
+    // Bootstrap resamples of the test set are drawn once per fit and reused for every threshold
+    const resamples = showIntervals ? bootstrapResamples(evaluation.test.labels, nResamples) : [];
+    correlationInput = { datasetOptions, testFraction, predict, multiClass };
+    scheduleCorrelationChart();
+
+    if (multiClass) {
+        const curves = oneVsRestRoc(evaluation.test.labels, evaluation.test.scores, nClasses);
+        curves.forEach((curve, c) => {
+            rocChart.data.datasets[c].label = `Class ${c} vs rest (AUC = ${curve.auc.toFixed(3)})`;
+            rocChart.data.datasets[c].data = curve.rocPoints;
+        });
+        const macroAuc = curves.reduce((sum, c) => sum + c.auc, 0) / nClasses;
+        // One-vs-rest AUCs reuse a single sort per class; the argmax predictions are computed once
+        const classCurves = Array.from({ length: nClasses }, (_, c) => bootstrapRoc(evaluation.test.labels.map(l => (l === c ? 1 : 0)), evaluation.test.scores.map(s => s[c]), resamples, false));
+        const predictions = argmaxPredictions(evaluation.test.scores);
+        const metricIntervals = bootstrapIntervals(resamples, (indices, r) => {
+            const metrics = calculateMultiClassMetrics(buildConfusionMatrix(subset(evaluation.test.labels, indices), subset(predictions, indices), nClasses));
+            const macroAuc = classCurves.reduce((sum, curves) => sum + curves[r].auc, 0) / nClasses;
+            return [macroAuc, metrics.accuracy, metrics.macro.precision, metrics.macro.recall, metrics.macro.f1, metrics.weighted.f1];
+        });
+        currentRun = { labels: evaluation.test.labels, scores: evaluation.test.scores, auc: macroAuc, evaluation, multiClass, nClasses, resamples, metricIntervals };
+        updateMultiClassView();
+        return;
+    }
+
+    const { rocPoints, auc } = calculateRocAndAuc(evaluation.test.labels, evaluation.test.scores);
+    const bootstrapCurves = bootstrapRoc(evaluation.test.labels, evaluation.test.scores, resamples);
+    const aucInterval = resamples.length ? bootstrapIntervals(bootstrapCurves, curve => [curve.auc])[0] : null;
+    currentRun = { labels: evaluation.test.labels, scores: evaluation.test.scores, rocPoints, auc, evaluation, multiClass, nClasses, resamples, aucInterval };
+    rocChart.data.datasets[0].label = evalMode === 'kfold' ? 'Cross-validated ROC (out-of-fold)' : 'Test ROC';
     rocChart.data.datasets[0].data = rocPoints;
+    rocChart.data.datasets[3].data = calculateRocAndAuc(evaluation.train.labels, evaluation.train.scores).rocPoints;
+    const band = calculateRocBand(bootstrapCurves);
+    rocChart.data.datasets[4].data = band.lower;
+    rocChart.data.datasets[5].data = band.upper;
+
+    const { prPoints, averagePrecision, prevalence } = calculatePrecisionRecall(evaluation.test.labels, evaluation.test.scores);
+    prChart.data.datasets[0].label = `PR Curve (AP = ${averagePrecision.toFixed(3)})`;
+    prChart.data.datasets[0].data = prPoints;
+    prChart.data.datasets[1].label = `No Skill (prevalence = ${prevalence.toFixed(2)})`;
+    prChart.data.datasets[1].data = [{ x: 0, y: prevalence }, { x: 1, y: prevalence }];
+
+    updateGainsChart(gainsChart, gainsView, evaluation.test.labels, evaluation.test.scores);
+    updateCalibrationView();
+    updateThreshold();
+}
+
+// Multi-class counterpart of updateThreshold: predictions are the most probable class
+function updateMultiClassView() {
+    const { labels, scores, nClasses, evaluation } = currentRun;
+    const matrix = buildConfusionMatrix(labels, argmaxPredictions(scores), nClasses);
+    const metrics = calculateMultiClassMetrics(matrix);
+
+    drawMultiClassConfusionMatrix('matrixChart', matrix, Array.from({ length: nClasses }, (_, c) => `C${c}`));
+    renderEvaluationTable(evaluation);
+    renderPerClassTable(metrics);
+
+    dataChart.update('none');
     rocChart.update('none');
 
-    metricsChart.data.datasets[0].data = [auc, accuracy, precision, recall, specificity, f1score];
+    metricsChart.data.labels = MULTICLASS_METRIC_LABELS;
+    metricsChart.data.datasets[0].data = multiClassMetricValues(labels, scores, nClasses);
+    metricsChart.data.datasets[0].backgroundColor = MULTICLASS_METRIC_COLORS;
+    metricsChart.options.scales.y = { beginAtZero: true, max: 1 };
+    metricsChart.options.plugins.errorBars = { intervals: currentRun.metricIntervals };
     metricsChart.update('none');
 }
 
+// Refreshes everything that depends on the decision threshold without refitting the model
+function updateThreshold() {
+    if (!currentRun || currentRun.multiClass) return;
+    const threshold = parseFloat(document.getElementById('thresholdSlider').value);
+    const { labels, scores, auc } = currentRun;
+    const { tp, fp, tn, fn } = getConfusionMatrix(labels, scores, threshold);
+    const metrics = calculateBinaryMetrics(tp, fp, tn, fn);
+    const { precision, recall, specificity, f1: f1score } = metrics;
+    const costs = getCosts();
+
+    document.getElementById('thresholdValue').textContent = threshold.toFixed(3);
+    document.getElementById('thresholdInfo').textContent = `J = ${(recall - (1 - specificity)).toFixed(3)} · F1 = ${f1score.toFixed(3)} · Cost = ${(costs.fp * fp + costs.fn * fn).toFixed(1)}`;
+
+    drawConfusionMatrix('matrixChart', tp, fp, tn, fn);
+    renderEvaluationTable(currentRun.evaluation, threshold);
+    renderPerClassTable(calculateMultiClassMetrics(buildConfusionMatrix(labels, scores.map(s => (s >= threshold ? 1 : 0)), 2)));
+
+    dataChart.options.plugins.decisionBoundary.threshold = threshold;
+    dataChart.update('none');
+
+    rocChart.data.datasets[2].data = [{ x: 1 - specificity, y: recall }];
+    rocChart.update('none');
+
+    prChart.data.datasets[2].data = (tp + fp) > 0 ? [{ x: recall, y: precision }] : [];
+    prChart.update('none');
+
+    const intervals = currentRun.aucInterval
+        ? metricIntervals(metricKeys, currentRun.resamples, indices => getConfusionMatrix(subset(labels, indices), subset(scores, indices), threshold), currentRun.aucInterval)
+        : [];
+    updateMetricsChart(metricsChart, metricKeys, { ...metrics, auc }, intervals);
+}
+
+function snapThreshold(objective) {
+    if (!currentRun || currentRun.multiClass) return;
+    const best = findOptimalThreshold(currentRun.labels, currentRun.scores, objective, getCosts());
+    document.getElementById('thresholdSlider').value = best.threshold;
+    updateThreshold();
+}
+
 // --- INITIALIZATION ---
+const MULTICLASS_METRIC_LABELS = ['Macro AUC', 'Accuracy', 'Macro Precision', 'Macro Recall', 'Macro F1', 'Weighted F1'];
+const MULTICLASS_METRIC_COLORS = ['#673AB7', '#009688', '#1E88E5', '#388E3C', '#FB8C00', '#9C27B0'];
+
 function initCharts() {
     const dataCtx = document.getElementById('dataChart').getContext('2d');
-    dataChart = new Chart(dataCtx, { type: 'scatter', data: { datasets: [{ label: 'Negative Class', data: [], backgroundColor: '#0D47A1' }, { label: 'Positive Class', data: [], backgroundColor: '#B71C1C' }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 } } });
+    dataChart = new Chart(dataCtx, { type: 'scatter', data: { datasets: [] }, plugins: [decisionBoundaryPlugin, gaussianEllipsesPlugin], options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: {}, y: {} }, plugins: { decisionBoundary: { display: false } } } });
     const rocCtx = document.getElementById('rocChart').getContext('2d');
-    rocChart = new Chart(rocCtx, { type: 'scatter', data: { datasets: [{ label: 'ROC Curve', data: [], borderColor: '#0D47A1', backgroundColor: 'transparent', showLine: true, pointRadius: 0, borderWidth: 3 }, { label: 'Chance Line', data: [{ x: 0, y: 0 }, { x: 1, y: 1 }], borderColor: '#666', showLine: true, pointRadius: 0, borderDash: [5, 5] }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: { min: 0, max: 1, title: { display: true, text: 'False Positive Rate' } }, y: { min: 0, max: 1, title: { display: true, text: 'True Positive Rate' } } } } });
+    rocChart = new Chart(rocCtx, { type: 'scatter', data: { datasets: [] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, plugins: { legend: { labels: { filter: item => item.text !== 'ROC CI Upper' } } }, scales: { x: { min: 0, max: 1, title: { display: true, text: 'False Positive Rate' } }, y: { min: 0, max: 1, title: { display: true, text: 'True Positive Rate' } } } } });
+    const prCtx = document.getElementById('prChart').getContext('2d');
+    prChart = new Chart(prCtx, { type: 'scatter', data: { datasets: [{ label: 'PR Curve', data: [], borderColor: '#388E3C', backgroundColor: 'transparent', showLine: true, stepped: 'after', pointRadius: 0, borderWidth: 3 }, { label: 'No Skill', data: [], borderColor: '#666', showLine: true, pointRadius: 0, borderDash: [5, 5] }, { label: 'Operating Point', data: [], backgroundColor: '#FB8C00', borderColor: '#212121', borderWidth: 2, pointRadius: 7, pointHoverRadius: 8 }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: { min: 0, max: 1, title: { display: true, text: 'Recall' } }, y: { min: 0, max: 1, title: { display: true, text: 'Precision' } } } } });
+    const calibrationCtx = document.getElementById('calibrationChart').getContext('2d');
+    calibrationChart = new Chart(calibrationCtx, { type: 'scatter', data: { datasets: [{ label: 'Observed Frequency', data: [], borderColor: '#9C27B0', backgroundColor: 'rgba(156, 39, 176, 0.6)', showLine: true, borderWidth: 2 }, { label: 'Perfect Calibration', data: [{ x: 0, y: 0 }, { x: 1, y: 1 }], borderColor: '#666', showLine: true, pointRadius: 0, borderDash: [5, 5] }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: { min: 0, max: 1, title: { display: true, text: 'Mean Predicted Probability' } }, y: { min: 0, max: 1, title: { display: true, text: 'Fraction of Positives' } } }, plugins: { tooltip: { callbacks: { label: (context) => context.datasetIndex === 0 ? `Predicted ${context.raw.x.toFixed(3)} · Observed ${context.raw.y.toFixed(3)} (n = ${context.raw.count})` : context.dataset.label } } } } });
+    const correlationCtx = document.getElementById('correlationChart').getContext('2d');
+    correlationChart = new Chart(correlationCtx, { type: 'scatter', data: { datasets: [{ label: 'Gaussian Naive Bayes', data: [], borderColor: '#9C27B0', backgroundColor: '#9C27B0', showLine: true, pointRadius: 3, borderWidth: 3 }, { label: 'QDA', data: [], borderColor: '#009688', backgroundColor: '#009688', showLine: true, pointRadius: 3, borderWidth: 3, borderDash: [6, 4] }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: { min: -1, max: 1, title: { display: true, text: 'Feature Correlation ρ (all classes)' } }, y: { max: 1, title: { display: true, text: 'Test AUC' } } } } });
+    const learningCurveCtx = document.getElementById('learningCurveChart').getContext('2d');
+    const band = (label, color) => ({ label, data: [], borderColor: 'transparent', backgroundColor: color, showLine: true, pointRadius: 0 });
+    learningCurveChart = new Chart(learningCurveCtx, { type: 'scatter', data: { datasets: [{ label: 'Train', data: [], borderColor: '#90A4AE', backgroundColor: '#90A4AE', showLine: true, pointRadius: 3, borderWidth: 2 }, { ...band('Train ± 1 SD', 'rgba(144, 164, 174, 0.2)'), fill: '+1' }, band('Train Band Upper', 'transparent'), { label: 'Validation', data: [], borderColor: '#0D47A1', backgroundColor: '#0D47A1', showLine: true, pointRadius: 3, borderWidth: 3 }, { ...band('Validation ± 1 SD', 'rgba(13, 71, 161, 0.15)'), fill: '+1' }, band('Validation Band Upper', 'transparent')] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, plugins: { legend: { labels: { filter: item => !item.text.endsWith('Band Upper') } } }, scales: { x: { beginAtZero: true, title: { display: true, text: 'Training Set Size' } }, y: { max: 1, title: { display: true, text: 'AUC' } } } } });
+    gainsChart = createGainsChart('gainsChart');
     const metricsCtx = document.getElementById('metricsChart').getContext('2d');
     metricsChart = new Chart(metricsCtx, {
         type: 'bar',
-        data: { labels: ['AUC', 'Accuracy', 'Precision', 'Recall', 'Specificity', 'F1-Score'], datasets: [{ data: [], backgroundColor: ['#673AB7', '#009688', '#1E88E5', '#388E3C', '#FB8C00', '#9C27B0'] }] },
-        plugins: [customDatalabelsPlugin],
+        data: { labels: [], datasets: [{ data: [] }] },
+        plugins: [customDatalabelsPlugin, errorBarsPlugin],
         options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -129,8 +1148,30 @@ function initCharts() {
 
 window.addEventListener('load', function () {
     initCharts();
-    const sliders = ['separationSlider', 'stdDevSlider'];
+    const sliders = ['clustersSlider', 'classesSlider', 'separationSlider', 'stdDevSlider', 'correlation0Slider', 'correlation1Slider', 'samplesSlider', 'imbalanceSlider', 'labelNoiseSlider', 'kSlider', 'testFractionSlider', 'foldsSlider', 'resamplesSlider'];
     sliders.forEach(id => { document.getElementById(id).addEventListener('input', updateApplication); });
+    ['modeSelect', 'datasetSelect', 'classifierSelect', 'evalModeSelect'].forEach(id => { document.getElementById(id).addEventListener('change', updateApplication); });
+    ['showBoundary', 'showEllipses', 'showIntervals'].forEach(id => { document.getElementById(id).addEventListener('change', updateApplication); });
+    document.getElementById('calibrationSelect').addEventListener('change', updateApplication);
+    document.getElementById('calibrationBinsSlider').addEventListener('input', updateCalibrationView);
+    document.getElementById('learningCurveMetricSelect').addEventListener('change', updateLearningCurve);
+    document.getElementById('stepBtn').addEventListener('click', () => { stopClustering(); stepClustering(); });
+    document.getElementById('playBtn').addEventListener('click', toggleClusteringAnimation);
+    document.getElementById('restartBtn').addEventListener('click', updateApplication);
+    initMetricPicker('metricPicker', metricKeys, keys => {
+        metricKeys = keys;
+        updateThreshold();
+    });
+    initTabBar('gainsTabs', view => {
+        gainsView = view;
+        if (currentRun && !currentRun.multiClass) updateGainsChart(gainsChart, gainsView, currentRun.labels, currentRun.scores);
+    });
+    document.getElementById('thresholdSlider').addEventListener('input', updateThreshold);
+    ['costFpInput', 'costFnInput'].forEach(id => { document.getElementById(id).addEventListener('input', updateThreshold); });
+    document.getElementById('youdenBtn').addEventListener('click', () => snapThreshold('youden'));
+    document.getElementById('f1Btn').addEventListener('click', () => snapThreshold('f1'));
+    document.getElementById('costBtn').addEventListener('click', () => snapThreshold('cost'));
+    initSeedControls(updateApplication);
     if (window.innerWidth > 1200) { makeDraggable(document.getElementById('floatingControls'), document.getElementById('controlsTitle')); }
     updateApplication();
 });
@@ -1,43 +1,399 @@
 // --- GLOBAL VARIABLES ---
-let scoresChart, rocChart, metricsChart;
+let scoresChart, rocChart, prChart, metricsChart, gainsChart, prevalenceShiftChart;
+let gainsView = 'gains';
+let metricKeys = [...DEFAULT_METRIC_KEYS]; // metrics shown in the bar chart
+let simulated = { scores: [], labels: [] }; // scores behind the current charts
 let lockState = { tp: false, fp: false, tn: false, fn: false };
 let currentState = { tp: 40, fp: 10, tn: 45, fn: 5 };
-const TOTAL_SAMPLES = 100;
+let totalSamples = 100;
+let sliderUnit = 'count'; // 'count' or 'percent' of the total
+const MIN_TOTAL = 10, MAX_TOTAL = 100000;
+const BOOTSTRAP_RESAMPLES = 500;
+// Larger populations are simulated on a proportional subsample; each score then stands for several samples
+const MAX_SIMULATED_SAMPLES = 500;
 
 // --- SIMULATION ---
-function generateScoresFromMatrix(tp, fp, tn, fn) {
-    const total_pos_real = tp + fn;
-    const total_neg_real = tn + fp;
-    if (total_pos_real === 0 || total_neg_real === 0) return { scores: [], labels: [] };
-    const tpr = tp / total_pos_real;
-    const tnr = tn / total_neg_real;
-    const mean_pos = 0.5 + (tpr - 0.5);
-    const mean_neg = 0.5 - (tnr - 0.5);
-    const stdDev = 0.15;
-    const scores = [], labels = [];
-    for (let i = 0; i < total_neg_real; i++) { scores.push(randomGaussian(mean_neg, stdDev)); labels.push(0); }
-    for (let i = 0; i < total_pos_real; i++) { scores.push(randomGaussian(mean_pos, stdDev)); labels.push(1); }
+// Scores are predicted positive when >= SCORE_THRESHOLD, as in the direct classifier
+const SCORE_THRESHOLD = 0.5;
+
+// Each family maps the ranking quality (0 = both classes share one distribution, 1 = strongly separated)
+// to a { cdf, quantile } pair per class on [0, 1]
+const SCORE_FAMILIES = {
+    beta: quality => {
+        const dist = (a, b) => ({ cdf: x => regularizedIncompleteBeta(x, a, b), quantile: p => betaQuantile(p, a, b) });
+        return { pos: dist(2 + 8 * quality, 2), neg: dist(2, 2 + 8 * quality) };
+    },
+    logitNormal: quality => {
+        const dist = mu => ({ cdf: x => normalCdf(Math.log(x / (1 - x)) - mu), quantile: p => 1 / (1 + Math.exp(-mu - normalQuantile(p))) });
+        return { pos: dist(3 * quality), neg: dist(-3 * quality) };
+    },
+    uniform: quality => {
+        // Shifts stay below the threshold so both supports straddle it
+        const shift = 0.45 * quality;
+        const dist = (lo, hi) => ({ cdf: x => Math.min(1, Math.max(0, (x - lo) / (hi - lo))), quantile: p => lo + p * (hi - lo) });
+        return { pos: dist(shift, 1), neg: dist(0, 1 - shift) };
+    }
+};
+
+// n scores from dist conditioned on [lo, hi]: one jittered draw per quantile stratum, so exactly n scores
+// land in the interval and the histogram follows the density closely whatever the seed
+function truncatedScores(dist, n, lo, hi) {
+    const pLo = dist.cdf(lo), pHi = dist.cdf(hi);
+    return Array.from({ length: n }, (_, i) => {
+        const u = (i + seededRandom()) / n;
+        const score = pHi > pLo ? dist.quantile(pLo + (pHi - pLo) * u) : lo + (hi - lo) * u;
+        return Math.min(Math.max(score, lo), hi);
+    });
+}
+
+// Synthetic scores that reproduce the matrix exactly at SCORE_THRESHOLD: TN and FN fall below it,
+// FP and TP at or above it. The ranking quality only reorders scores within each side, which moves
+// the AUC between the bounds returned by aucBounds
+function generateScoresFromMatrix(tp, fp, tn, fn, family = 'beta', quality = 0.5) {
+    if (tp + fn === 0 || tn + fp === 0) return { scores: [], labels: [] };
+    const { pos, neg } = SCORE_FAMILIES[family](quality);
+    const below = SCORE_THRESHOLD - 1e-9;
+    const scores = [
+        ...truncatedScores(neg, tn, 0, below), ...truncatedScores(neg, fp, SCORE_THRESHOLD, 1),
+        ...truncatedScores(pos, fn, 0, below), ...truncatedScores(pos, tp, SCORE_THRESHOLD, 1)
+    ];
+    const labels = [...Array(tn + fp).fill(0), ...Array(fn + tp).fill(1)];
     return { scores, labels };
 }
 
-function createHistogramData(scores, labels, n_bins = 20) {
+// Range of AUC over every ranking consistent with the matrix: TP–TN pairs are always ordered correctly
+// and FN–FP pairs always wrongly; the pairs on the same side of the threshold can go either way
+function aucBounds(tp, fp, tn, fn) {
+    const pairs = (tp + fn) * (tn + fp);
+    return pairs > 0 ? [tp * tn / pairs, 1 - fp * fn / pairs] : [NaN, NaN];
+}
+
+// multiplicity[label] = number of samples each simulated score of that class stands for
+function createHistogramData(scores, labels, n_bins = 20, multiplicity = [1, 1]) {
     const bins = Array(n_bins).fill(0).map(() => ({ pos: 0, neg: 0 }));
     const bin_labels = Array(n_bins).fill(0).map((_, i) => (i / n_bins).toFixed(2));
     scores.forEach((score, i) => {
         let bin_index = Math.floor(score * n_bins);
         if (bin_index < 0) bin_index = 0;
         if (bin_index >= n_bins) bin_index = n_bins - 1;
-        if (labels[i] === 1) bins[bin_index].pos++;
-        else bins[bin_index].neg++;
+        if (labels[i] === 1) bins[bin_index].pos += multiplicity[1];
+        else bins[bin_index].neg += multiplicity[0];
+    });
+    return { labels: bin_labels, pos_data: bins.map(b => Math.round(b.pos)), neg_data: bins.map(b => Math.round(b.neg)) };
+}
+
+// Rescales the four cells to a new total with largest-remainder rounding, so they still sum to it exactly
+function scaleCounts(counts, total) {
+    const sum = Object.values(counts).reduce((a, b) => a + b, 0);
+    if (sum === 0) return { ...counts };
+    const exact = Object.entries(counts).map(([key, value]) => ({ key, value: value * total / sum }));
+    const scaled = Object.fromEntries(exact.map(({ key, value }) => [key, Math.floor(value)]));
+    let remainder = total - Object.values(scaled).reduce((a, b) => a + b, 0);
+    exact.sort((a, b) => (b.value % 1) - (a.value % 1)).forEach(({ key }) => { if (remainder > 0) { scaled[key]++; remainder--; } });
+    return scaled;
+}
+
+// --- BOOTSTRAP ---
+// Threshold metrics: a stratified resample of the outcomes behind the matrix keeps both class totals, so its
+// TP and FP counts are binomial draws at the observed TPR and FPR. AUC and the ROC band come from the scores.
+function bootstrapMetricIntervals(tp, fp, tn, fn, curves) {
+    const positives = tp + fn, negatives = tn + fp;
+    const resamples = Array.from({ length: BOOTSTRAP_RESAMPLES }, () => ({
+        tp: randomBinomial(positives, positives ? tp / positives : 0),
+        fp: randomBinomial(negatives, negatives ? fp / negatives : 0)
+    }));
+    const aucInterval = curves.length ? bootstrapIntervals(curves, curve => [curve.auc])[0] : null;
+    return metricIntervals(metricKeys, resamples, r => ({ tp: r.tp, fp: r.fp, tn: negatives - r.fp, fn: positives - r.tp }), aucInterval);
+}
+
+// Error bars from the chosen method (Wilson and Clopper–Pearson cover proportion metrics only; the others
+// keep their bootstrap interval), while every available interval goes to the tooltip
+function metricIntervalChoices(tp, fp, tn, fn, curves, method) {
+    const bootstrap = bootstrapMetricIntervals(tp, fp, tn, fn, curves);
+    const exact = Object.fromEntries(Object.keys(PROPORTION_INTERVALS).map(m => [m, proportionIntervals(metricKeys, { tp, fp, tn, fn }, m)]));
+    const intervals = method === 'bootstrap' ? bootstrap : metricKeys.map((_, i) => exact[method][i] || bootstrap[i]);
+    const details = metricKeys.map((_, i) => [
+        { name: 'Bootstrap', interval: bootstrap[i] },
+        ...Object.entries(PROPORTION_INTERVALS).map(([m, { name }]) => ({ name, interval: exact[m][i] }))
+    ].filter(d => d.interval && isFinite(d.interval[0])));
+    return { intervals, details };
+}
+
+// Stratified bootstrap ROC curves of the simulated scores when each stands for multiplicity[label] samples:
+// a resample spreads its class's full count over the class's scores (a multinomial, drawn as successive
+// binomials). With a multiplicity of 1 this is the usual resampling with replacement.
+function bootstrapSimulatedRoc(labels, scores, multiplicity) {
+    const order = labels.map((_, i) => i).sort((a, b) => scores[b] - scores[a]);
+    const groups = [0, 1].map(c => labels.map((_, i) => i).filter(i => labels[i] === c));
+    return Array.from({ length: BOOTSTRAP_RESAMPLES }, () => {
+        const weights = new Array(labels.length).fill(0);
+        groups.forEach((group, c) => {
+            let remaining = Math.round(group.length * multiplicity[c]);
+            group.forEach((i, k) => {
+                weights[i] = randomBinomial(remaining, 1 / (group.length - k));
+                remaining -= weights[i];
+            });
+        });
+        return calculateWeightedRoc(order, labels, scores, weights);
     });
-    return { labels: bin_labels, pos_data: bins.map(b => b.pos), neg_data: bins.map(b => b.neg) };
+}
+
+// --- TARGET SOLVER ---
+const targetRatio = (part, whole) => (whole > 0 ? part / whole : 0);
+
+// Each target lists the cells it is computed from (those get locked once a matrix is found), its value from the
+// counts, as in calculateBinaryMetrics, and the linear equation a·P + b·TP + c·FP = d in the positive count, TP and
+// FP (for a total T) that holds when the target is met exactly, as [[a, b, c], d]
+const TARGET_METRICS = {
+    precision: { label: 'Precision', cells: ['tp', 'fp'], value: c => targetRatio(c.tp, c.tp + c.fp), equation: v => [[0, 1 - v, -v], 0] },
+    recall: { label: 'Recall', cells: ['tp', 'fn'], value: c => targetRatio(c.tp, c.tp + c.fn), equation: v => [[-v, 1, 0], 0] },
+    specificity: { label: 'Specificity', cells: ['tn', 'fp'], value: c => targetRatio(c.tn, c.tn + c.fp), equation: (v, T) => [[1 - v, 0, 1], (1 - v) * T] },
+    accuracy: { label: 'Accuracy', cells: ['tp', 'tn'], value: c => targetRatio(c.tp + c.tn, c.tp + c.fp + c.tn + c.fn), equation: (v, T) => [[-1, 1, -1], (v - 1) * T] },
+    // 2TP / (2TP + FP + FN) is the harmonic mean of precision and recall (0 without true positives)
+    f1: { label: 'F1-Score', cells: ['tp', 'fp', 'fn'], value: c => targetRatio(2 * c.tp, 2 * c.tp + c.fp + c.fn), equation: v => [[-v, 2 - v, -v], 0] },
+    prevalence: { label: 'Prevalence', cells: ['tp', 'fn'], value: c => targetRatio(c.tp + c.fn, c.tp + c.fp + c.tn + c.fn), equation: (v, T) => [[1, 0, 0], v * T] }
+};
+const SOLVER_TOLERANCE = 0.005;
+// Matrices are ranked by their worst target error, all errors that vanish at the three decimals the solver
+// reports counting as equal; the reference then decides among them
+const SOLVER_RESOLUTION = 0.0005;
+// Up to this total every (P, TP) pair is tried; beyond it the integer search looks in a window around each
+// continuous solution, widened once before giving up
+const SOLVER_EXHAUSTIVE_TOTAL = 500;
+const SOLVER_WINDOWS = [3, 25];
+// Separate optima of the coarse grid refined in parallel, so that one misleading basin cannot hide the answer
+const SOLVER_GRID_STARTS = 4;
+
+function targetValues({ tp, fp, tn, fn }) {
+    const total = tp + fp + tn + fn;
+    return { ...calculateBinaryMetrics(tp, fp, tn, fn), prevalence: total > 0 ? (tp + fn) / total : 0 };
+}
+
+const dot3 = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+const cross3 = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+
+// Points [P, TP, FP] where the target equations hold exactly: the single solution of three independent ones, and
+// on the line of solutions of each pair the point closest to the reference that keeps every count non-negative.
+// Points are clamped to valid (fractional) matrices, so for contradictory targets they are only close
+function exactTargetSolutions(equations, total, reference) {
+    const solutions = [];
+    if (equations.length === 3) {
+        const [[n1, d1], [n2, d2], [n3, d3]] = equations;
+        const det = dot3(n1, cross3(n2, n3));
+        if (Math.abs(det) > 1e-9) {
+            const terms = [[d1, cross3(n2, n3)], [d2, cross3(n3, n1)], [d3, cross3(n1, n2)]];
+            solutions.push([0, 1, 2].map(i => terms.reduce((sum, [d, u]) => sum + d * u[i], 0) / det));
+        }
+    }
+
+    const referencePoint = [reference.tp + reference.fn, reference.tp, reference.fp];
+    // Each count as g·x + h ≥ 0: P, N, TP, FN, FP, TN
+    const bounds = [[[1, 0, 0], 0], [[-1, 0, 0], total], [[0, 1, 0], 0], [[1, -1, 0], 0], [[0, 0, 1], 0], [[-1, 0, -1], total]];
+    equations.forEach(([n1, d1], i) => equations.slice(i + 1).forEach(([n2, d2]) => {
+        const direction = cross3(n1, n2), norm = dot3(direction, direction);
+        if (norm < 1e-12) return; // the same or parallel constraints
+        const n12 = dot3(n1, n2);
+        const alpha = (d1 * dot3(n2, n2) - d2 * n12) / norm, beta = (d2 * dot3(n1, n1) - d1 * n12) / norm;
+        const origin = [0, 1, 2].map(k => alpha * n1[k] + beta * n2[k]);
+        let lo = -Infinity, hi = Infinity;
+        bounds.forEach(([g, h]) => {
+            const slope = dot3(g, direction), offset = dot3(g, origin) + h;
+            if (slope > 1e-12) lo = Math.max(lo, -offset / slope);
+            else if (slope < -1e-12) hi = Math.min(hi, -offset / slope);
+        });
+        let t = dot3(referencePoint.map((v, k) => v - origin[k]), direction) / norm;
+        if (lo <= hi) t = Math.min(hi, Math.max(lo, t));
+        solutions.push(origin.map((v, k) => v + t * direction[k]));
+    }));
+
+    return solutions.map(([P, tp, fp]) => {
+        const positives = Math.min(total, Math.max(0, P));
+        const truePositives = Math.min(positives, Math.max(0, tp)), falsePositives = Math.min(total - positives, Math.max(0, fp));
+        return { tp: truePositives, fp: falsePositives, tn: total - positives - falsePositives, fn: positives - truePositives };
+    });
+}
+
+// Integer matrix of the given total closest to the targets ([{ metric, value }]). Every target is a linear equation
+// in P, TP and FP, so the exact solutions are computed directly; the continuous optimum over prevalence, TPR and FPR
+// is also refined on successively finer grids from several coarse starting points, which covers targets with no
+// exact solution. The integer search then tries every P and TP (only windows around those solutions for large
+// totals) with the FP values the targets call for, rounded both ways, or the reference's FPR when no target
+// involves FP. Among matrices with the same worst error, a small pull towards `reference` picks the nearest one
+// when two targets leave a whole family of solutions
+function solveForTargets(targets, total, reference) {
+    const error = counts => Math.max(...targets.map(t => Math.abs(TARGET_METRICS[t.metric].value(counts) - t.value)));
+    const toRates = ({ tp, fp, tn, fn }) => [(tp + fn) / total, tp + fn > 0 ? tp / (tp + fn) : 0, tn + fp > 0 ? fp / (tn + fp) : 0];
+    const fromRates = ([prevalence, tpr, fpr]) => {
+        const positives = prevalence * total, negatives = total - positives;
+        return { tp: tpr * positives, fp: fpr * negatives, tn: (1 - fpr) * negatives, fn: (1 - tpr) * positives };
+    };
+    const referenceRates = toRates(reference);
+    const cost = counts => {
+        const distance = toRates(counts).reduce((sum, v, i) => sum + (v - referenceRates[i]) ** 2, 0);
+        return targets.reduce((sum, t) => sum + (TARGET_METRICS[t.metric].value(counts) - t.value) ** 2, 0) + 1e-6 * distance;
+    };
+    const equations = targets.map(t => TARGET_METRICS[t.metric].equation(t.value, total));
+    // Coarse grid, then the best few points that are not neighbours of one another are each refined
+    const coarseSteps = 40, coarse = [];
+    for (let i = 0; i <= coarseSteps; i++) for (let j = 0; j <= coarseSteps; j++) for (let k = 0; k <= coarseSteps; k++) {
+        coarse.push({ steps: [i, j, k], cost: cost(fromRates([i, j, k].map(s => s / coarseSteps))) });
+    }
+    coarse.sort((a, b) => a.cost - b.cost);
+    const seeds = [];
+    for (const point of coarse) {
+        if (seeds.length === SOLVER_GRID_STARTS) break;
+        if (seeds.every(seed => seed.steps.some((s, d) => Math.abs(s - point.steps[d]) > 2))) seeds.push(point);
+    }
+    const gridOptima = seeds.map(seed => {
+        let best = seed.steps.map(s => s / coarseSteps), bestCost = seed.cost, width = 1 / 5;
+        for (let pass = 0; pass < 3; pass++) {
+            const steps = 10, center = best;
+            for (let i = 0; i <= steps; i++) for (let j = 0; j <= steps; j++) for (let k = 0; k <= steps; k++) {
+                const rates = [i, j, k].map((s, d) => Math.min(1, Math.max(0, center[d] + (s / steps - 0.5) * width)));
+                const c = cost(fromRates(rates));
+                if (c < bestCost) { bestCost = c; best = rates; }
+            }
+            width /= 5;
+        }
+        return fromRates(best);
+    });
+    const continuous = [...exactTargetSolutions(equations, total, reference), ...gridOptima];
+
+    // FP meeting each target exactly and at ± the resolution: where the ranges allowed by several targets overlap,
+    // the largest lower end is among them, so its rounded-up value lands in the overlap
+    const fpEquations = [-1, 0, 1].flatMap(sign => targets.map(t => TARGET_METRICS[t.metric].equation(t.value + sign * SOLVER_RESOLUTION, total)))
+        .filter(([n]) => n[2] !== 0);
+    const fpValues = (P, tp) => (fpEquations.length
+        ? fpEquations.map(([n, d]) => (d - n[0] * P - n[1] * tp) / n[2])
+        : [referenceRates[2] * (total - P)]);
+    let solution = null, solutionRank = [Infinity, Infinity];
+    const tryCounts = (P, tp) => {
+        const N = total - P;
+        const candidates = new Set(fpValues(P, tp).flatMap(fp => [Math.floor(fp), Math.ceil(fp)]).map(fp => Math.min(N, Math.max(0, fp))));
+        candidates.forEach(fp => {
+            const counts = { tp, fp, tn: N - fp, fn: P - tp };
+            const rank = [Math.max(error(counts), SOLVER_RESOLUTION), cost(counts)];
+            if (rank[0] < solutionRank[0] || (rank[0] === solutionRank[0] && rank[1] < solutionRank[1])) { solutionRank = rank; solution = counts; }
+        });
+    };
+    if (total <= SOLVER_EXHAUSTIVE_TOTAL) {
+        for (let P = 0; P <= total; P++) for (let tp = 0; tp <= P; tp++) tryCounts(P, tp);
+    } else {
+        for (const window of SOLVER_WINDOWS) {
+            continuous.map(toRates).forEach(([prevalence, tpr]) => {
+                const positives = Math.round(prevalence * total);
+                for (let P = Math.max(0, positives - window); P <= Math.min(total, positives + window); P++) {
+                    const tpGuess = Math.round(tpr * P);
+                    for (let tp = Math.max(0, tpGuess - window); tp <= Math.min(P, tpGuess + window); tp++) tryCounts(P, tp);
+                }
+            });
+            if (error(solution) <= SOLVER_TOLERANCE) break;
+        }
+    }
+    const exact = continuous.reduce((a, b) => (error(b) < error(a) ? b : a));
+    return { counts: solution, error: error(solution), values: targetValues(solution), exact, exactError: error(exact) };
+}
+
+function readTargets() {
+    return Object.keys(TARGET_METRICS)
+        .filter(metric => document.getElementById(`${metric}TargetCheck`).checked)
+        .map(metric => ({ metric, value: parseFloat(document.getElementById(`${metric}TargetInput`).value) }));
+}
+
+function solveFromTargets() {
+    const message = document.getElementById('solverMessage');
+    const targets = readTargets();
+    if (targets.length < 2 || targets.length > 3) { message.textContent = 'Pin two or three targets.'; return; }
+    if (targets.some(t => !(t.value >= 0 && t.value <= 1))) { message.textContent = 'Targets must lie between 0 and 1.'; return; }
+
+    const { counts, error, values, exact, exactError } = solveForTargets(targets, totalSamples, currentState);
+    const reached = targets.map(t => `${TARGET_METRICS[t.metric].label} ${values[t.metric].toFixed(3)}`).join(', ');
+    if (error > SOLVER_TOLERANCE) {
+        // Distinguish incompatible targets from a total too small to hit them with whole counts
+        const reason = exactError > SOLVER_TOLERANCE
+            ? 'The targets contradict each other: no proportions satisfy them all (e.g. accuracy cannot exceed prevalence × recall + 1 − prevalence).'
+            : `The proportions exist but need fractional counts (TP ≈ ${exact.tp.toFixed(2)}, FP ≈ ${exact.fp.toFixed(2)}, TN ≈ ${exact.tn.toFixed(2)}, FN ≈ ${exact.fn.toFixed(2)}); increase the total.`;
+        message.textContent = `No matrix of ${totalSamples} samples meets these targets within ±${SOLVER_TOLERANCE}; the closest reaches ${reached}. ${reason}`;
+        return;
+    }
+    currentState = counts;
+    const pinned = new Set(targets.flatMap(t => TARGET_METRICS[t.metric].cells));
+    Object.keys(lockState).forEach(param => setLock(param, pinned.has(param)));
+    message.textContent = `TP ${counts.tp}, FP ${counts.fp}, TN ${counts.tn}, FN ${counts.fn} reaches ${reached}. The cells behind the targets are locked.`;
+    updateUI();
+}
+
+// --- PREVALENCE SHIFT ---
+// Sensitivity and specificity are properties of the test; PPV and NPV also depend on who is tested
+const ICON_ARRAY_POPULATION = 1000, ICON_ARRAY_COLUMNS = 40;
+const SHIFT_PREVALENCE_GRID = Array.from({ length: 121 }, (_, i) => 10 ** (-3 + 3 * i / 120)).filter(p => p < 1);
+
+// Rates of the current matrix (0.5 for a class without samples)
+function currentRates() {
+    const { tp, fp, tn, fn } = currentState;
+    const rate = (hits, misses) => (hits + misses > 0 ? hits / (hits + misses) : 0.5);
+    return { sensitivity: rate(tp, fn), specificity: rate(tn, fp) };
+}
+
+// Bayes' theorem: predictive values and accuracy of a test with fixed sensitivity and specificity
+function predictiveValues(sensitivity, specificity, prevalence) {
+    const truePositive = sensitivity * prevalence, falsePositive = (1 - specificity) * (1 - prevalence);
+    const trueNegative = specificity * (1 - prevalence), falseNegative = (1 - sensitivity) * prevalence;
+    return {
+        ppv: truePositive + falsePositive > 0 ? truePositive / (truePositive + falsePositive) : 0,
+        npv: trueNegative + falseNegative > 0 ? trueNegative / (trueNegative + falseNegative) : 0,
+        accuracy: truePositive + trueNegative
+    };
+}
+
+// Icon array: one dot per person, red for the condition and blue without it; filled dots test positive
+function drawIconArray(canvasId, counts) {
+    const canvas = document.getElementById(canvasId);
+    const ctx = canvas.getContext('2d');
+    const cell = canvas.width / ICON_ARRAY_COLUMNS, radius = cell * 0.35;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = 1.5;
+    const people = [['tp', '#B71C1C', true], ['fn', '#B71C1C', false], ['fp', '#0D47A1', true], ['tn', '#0D47A1', false]]
+        .flatMap(([key, color, filled]) => Array(counts[key]).fill({ color, filled }));
+    people.forEach(({ color, filled }, i) => {
+        const x = (i % ICON_ARRAY_COLUMNS + 0.5) * cell, y = (Math.floor(i / ICON_ARRAY_COLUMNS) + 0.5) * cell;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        if (filled) { ctx.fillStyle = color; ctx.fill(); } else { ctx.strokeStyle = color; ctx.stroke(); }
+    });
+}
+
+function updatePrevalenceShift() {
+    const { sensitivity, specificity } = currentRates();
+    const prevalence = Math.min(0.99, 10 ** parseFloat(document.getElementById('shiftPrevalenceSlider').value));
+    const current = (currentState.tp + currentState.fn) / totalSamples;
+    const curve = key => SHIFT_PREVALENCE_GRID.map(p => ({ x: p, y: predictiveValues(sensitivity, specificity, p)[key] }));
+    const explored = predictiveValues(sensitivity, specificity, prevalence);
+    prevalenceShiftChart.data.datasets[0].data = curve('ppv');
+    prevalenceShiftChart.data.datasets[1].data = curve('npv');
+    prevalenceShiftChart.data.datasets[2].data = curve('accuracy');
+    prevalenceShiftChart.data.datasets[3].data = current > 0 && current < 1 ? [{ x: current, y: 0 }, { x: current, y: 1 }] : [];
+    prevalenceShiftChart.data.datasets[4].data = [explored.ppv, explored.npv, explored.accuracy].map(y => ({ x: prevalence, y }));
+    prevalenceShiftChart.update('none');
+
+    // Natural frequencies: the same test applied to 1,000 people at the explored prevalence
+    const counts = scaleCounts({
+        tp: sensitivity * prevalence, fn: (1 - sensitivity) * prevalence,
+        fp: (1 - specificity) * (1 - prevalence), tn: specificity * (1 - prevalence)
+    }, ICON_ARRAY_POPULATION);
+    drawIconArray('iconArrayCanvas', counts);
+    document.getElementById('shiftPrevalenceValue').textContent = `${(100 * prevalence).toFixed(prevalence < 0.01 ? 2 : 1)}%`;
+    const positiveTests = counts.tp + counts.fp;
+    document.getElementById('naturalFrequencies').textContent = `Of ${ICON_ARRAY_POPULATION.toLocaleString('en-US')} people, ${counts.tp + counts.fn} have the condition and ${counts.tp} of them test positive; `
+        + `${counts.fp} of the ${counts.fp + counts.tn} others test positive too. So ${counts.tp} of the ${positiveTests} positive tests are true `
+        + `(PPV ${(100 * explored.ppv).toFixed(1)}%), while ${counts.tn} of the ${counts.tn + counts.fn} negative tests are (NPV ${(100 * explored.npv).toFixed(1)}%).`;
 }
 
 // --- UI MANAGEMENT ---
 function adjustValues(changedParam, newValue) {
     let values = { ...currentState };
     values[changedParam] = newValue;
-    let diff = Object.values(values).reduce((sum, v) => sum + v, 0) - TOTAL_SAMPLES;
+    let diff = Object.values(values).reduce((sum, v) => sum + v, 0) - totalSamples;
     const unlockedParams = Object.keys(values).filter(p => p !== changedParam && !lockState[p]);
     while (diff !== 0 && unlockedParams.length > 0) {
         let adjustedInLoop = false;
@@ -46,7 +402,7 @@ function adjustValues(changedParam, newValue) {
             for (const param of unlockedParams) { if (values[param] > 0) { values[param]--; diff--; adjustedInLoop = true; break; } }
         } else {
             unlockedParams.sort((a, b) => values[a] - values[b]);
-            for (const param of unlockedParams) { if (values[param] < TOTAL_SAMPLES) { values[param]++; diff++; adjustedInLoop = true; break; } }
+            for (const param of unlockedParams) { if (values[param] < totalSamples) { values[param]++; diff++; adjustedInLoop = true; break; } }
         }
         if (!adjustedInLoop) break;
     }
@@ -54,22 +410,76 @@ function adjustValues(changedParam, newValue) {
     updateUI();
 }
 
+function setTotal(total) {
+    totalSamples = Math.min(MAX_TOTAL, Math.max(MIN_TOTAL, Math.round(total) || MIN_TOTAL));
+    currentState = scaleCounts(currentState, totalSamples);
+    configureSliders();
+    updateUI();
+}
+
+// Moves samples between the classes while keeping sensitivity and specificity (up to rounding);
+// locks are ignored since every cell changes
+// The rates are taken from the matrix as it was before the first prevalence move and reused while only the
+// prevalence changes, so rounding (or an empty class) along the way never alters them; any other edit
+// replaces currentState and the rates are read again
+let prevalenceAnchor = { state: null, rates: null };
+
+function setPrevalence(prevalence) {
+    if (prevalenceAnchor.state !== currentState) prevalenceAnchor.rates = currentRates();
+    const { sensitivity, specificity } = prevalenceAnchor.rates;
+    const positives = Math.round(prevalence * totalSamples), negatives = totalSamples - positives;
+    const newTp = Math.round(sensitivity * positives), newTn = Math.round(specificity * negatives);
+    currentState = { tp: newTp, fp: negatives - newTn, tn: newTn, fn: positives - newTp };
+    prevalenceAnchor.state = currentState;
+    updateUI();
+}
+
+// Matrix sliders run over counts (0 to the total) or percentages of the total (0.1% steps)
+function configureSliders() {
+    Object.keys(currentState).forEach(param => {
+        const slider = document.getElementById(`${param}Slider`);
+        slider.max = sliderUnit === 'percent' ? 100 : totalSamples;
+        slider.step = sliderUnit === 'percent' ? 0.1 : 1;
+    });
+}
+
+function sliderCount(slider) {
+    const value = parseFloat(slider.value);
+    return sliderUnit === 'percent' ? Math.round(value / 100 * totalSamples) : value;
+}
+
+function formatCount(count) {
+    return sliderUnit === 'percent' ? `${(100 * count / totalSamples).toFixed(1)}% (${count})` : `${count}`;
+}
+
 function updateUI() {
     const { tp, fp, tn, fn } = currentState;
-    const total = tp + fp + tn + fn;
-    const precision = (tp + fp) > 0 ? tp / (tp + fp) : 0;
-    const recall = (tp + fn) > 0 ? tp / (tp + fn) : 0;
-    const specificity = (tn + fp) > 0 ? tn / (tn + fp) : 0;
-    const f1score = (precision + recall) > 0 ? 2 * (precision * recall) / (precision + recall) : 0;
-    const accuracy = total > 0 ? (tp + tn) / total : 0;
-    const { scores, labels } = generateScoresFromMatrix(tp, fp, tn, fn);
+    const metrics = calculateBinaryMetrics(tp, fp, tn, fn);
+    const showIntervals = document.getElementById('showIntervals').checked;
+    // Same seed, same underlying draws: the histogram shifts smoothly instead of jittering
+    setRandomSeed(getSeed());
+    const family = document.getElementById('scoreFamilySelect').value;
+    const quality = parseInt(document.getElementById('rankingQualitySlider').value) / 100;
+    document.getElementById('rankingQualityValue').textContent = `${Math.round(quality * 100)}%`;
+    const sample = totalSamples > MAX_SIMULATED_SAMPLES ? scaleCounts(currentState, MAX_SIMULATED_SAMPLES) : currentState;
+    const { scores, labels } = generateScoresFromMatrix(sample.tp, sample.fp, sample.tn, sample.fn, family, quality);
+    const multiplicity = [(tn + fp) / (sample.tn + sample.fp), (tp + fn) / (sample.tp + sample.fn)];
+    simulated = { scores, labels };
     const { rocPoints, auc } = calculateRocAndAuc(labels, scores);
-    const histogram = createHistogramData(scores, labels);
+    const histogram = createHistogramData(scores, labels, 20, multiplicity);
+    const [aucMin, aucMax] = aucBounds(tp, fp, tn, fn);
+    const subsampleNote = sample === currentState ? '' : ` Scores are simulated for ${MAX_SIMULATED_SAMPLES} samples in the same proportions, each standing for about ${(totalSamples / MAX_SIMULATED_SAMPLES).toFixed(1)}.`;
+    document.getElementById('scoresHint').textContent = labels.length
+        ? `Exactly ${tn + fn} samples fall below the ${SCORE_THRESHOLD} threshold and ${tp + fp} at or above it. Any ranking with this matrix has an AUC between ${aucMin.toFixed(3)} and ${aucMax.toFixed(3)}; this one reaches ${auc.toFixed(3)}.${subsampleNote}`
+        : 'Both classes need at least one sample to simulate scores.';
 
     for (const param in currentState) {
-        document.getElementById(`${param}Slider`).value = currentState[param];
-        document.getElementById(`${param}Value`).textContent = currentState[param];
+        document.getElementById(`${param}Slider`).value = sliderUnit === 'percent' ? 100 * currentState[param] / totalSamples : currentState[param];
+        document.getElementById(`${param}Value`).textContent = formatCount(currentState[param]);
     }
+    const positiveShare = 100 * (tp + fn) / totalSamples;
+    document.getElementById('prevalenceSlider').value = positiveShare;
+    document.getElementById('prevalenceValue').textContent = `${positiveShare.toFixed(1)}%`;
 
     drawConfusionMatrix('matrixChart', tp, fp, tn, fn);
 
@@ -78,11 +488,29 @@ function updateUI() {
     scoresChart.data.datasets[1].data = histogram.pos_data;
     scoresChart.update('none');
 
+    const curves = showIntervals && labels.length ? bootstrapSimulatedRoc(labels, scores, multiplicity) : [];
+    const band = calculateRocBand(curves);
     rocChart.data.datasets[0].data = rocPoints;
+    rocChart.data.datasets[2].data = band.lower;
+    rocChart.data.datasets[3].data = band.upper;
     rocChart.update('none');
 
-    metricsChart.data.datasets[0].data = [auc, accuracy, precision, recall, specificity, f1score];
-    metricsChart.update('none');
+    const { prPoints, averagePrecision, prevalence } = calculatePrecisionRecall(labels, scores);
+    prChart.data.datasets[0].label = `PR Curve (AP = ${averagePrecision.toFixed(3)})`;
+    prChart.data.datasets[0].data = prPoints;
+    prChart.data.datasets[1].label = `No Skill (prevalence = ${prevalence.toFixed(2)})`;
+    prChart.data.datasets[1].data = [{ x: 0, y: prevalence }, { x: 1, y: prevalence }];
+    prChart.update('none');
+
+    updateGainsChart(gainsChart, gainsView, labels, scores);
+    updatePrevalenceShift();
+
+    if (showIntervals) {
+        const { intervals, details } = metricIntervalChoices(tp, fp, tn, fn, curves, document.getElementById('intervalMethodSelect').value);
+        updateMetricsChart(metricsChart, metricKeys, { ...metrics, auc }, intervals, details);
+    } else {
+        updateMetricsChart(metricsChart, metricKeys, { ...metrics, auc });
+    }
 }
 
 // --- INITIALIZATION ---
@@ -90,13 +518,22 @@ function initCharts() {
     const scoresCtx = document.getElementById('scoresChart').getContext('2d');
     scoresChart = new Chart(scoresCtx, { type: 'bar', data: { labels: [], datasets: [{ label: 'Scores (Negative Class)', data: [], backgroundColor: '#0D47A1', barPercentage: 1.0, categoryPercentage: 1.0 }, { label: 'Scores (Positive Class)', data: [], backgroundColor: '#B71C1C', barPercentage: 1.0, categoryPercentage: 1.0 }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: { stacked: true }, y: { stacked: true, title: { display: true, text: 'Number of Samples' } } } } });
     const rocCtx = document.getElementById('rocChart').getContext('2d');
-    rocChart = new Chart(rocCtx, { type: 'scatter', data: { datasets: [{ label: 'ROC Curve', data: [], borderColor: '#0D47A1', backgroundColor: 'transparent', showLine: true, pointRadius: 0, borderWidth: 3 }, { label: 'Chance Line', data: [{ x: 0, y: 0 }, { x: 1, y: 1 }], borderColor: '#666', showLine: true, pointRadius: 0, borderDash: [5, 5] }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: { min: 0, max: 1, title: { display: true, text: 'False Positive Rate' } }, y: { min: 0, max: 1, title: { display: true, text: 'True Positive Rate' } } } } });
+    rocChart = new Chart(rocCtx, { type: 'scatter', data: { datasets: [{ label: 'ROC Curve', data: [], borderColor: '#0D47A1', backgroundColor: 'transparent', showLine: true, pointRadius: 0, borderWidth: 3 }, { label: 'Chance Line', data: [{ x: 0, y: 0 }, { x: 1, y: 1 }], borderColor: '#666', showLine: true, pointRadius: 0, borderDash: [5, 5] }, { label: `${Math.round(BOOTSTRAP_CONFIDENCE * 100)}% CI Band (bootstrap)`, data: [], borderColor: 'transparent', backgroundColor: 'rgba(13, 71, 161, 0.15)', showLine: true, pointRadius: 0, fill: '+1' }, { label: 'ROC CI Upper', data: [], borderColor: 'transparent', backgroundColor: 'transparent', showLine: true, pointRadius: 0 }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, plugins: { legend: { labels: { filter: item => item.text !== 'ROC CI Upper' } } }, scales: { x: { min: 0, max: 1, title: { display: true, text: 'False Positive Rate' } }, y: { min: 0, max: 1, title: { display: true, text: 'True Positive Rate' } } } } });
+
+    const prCtx = document.getElementById('prChart').getContext('2d');
+    prChart = new Chart(prCtx, { type: 'scatter', data: { datasets: [{ label: 'PR Curve', data: [], borderColor: '#388E3C', backgroundColor: 'transparent', showLine: true, stepped: 'after', pointRadius: 0, borderWidth: 3 }, { label: 'No Skill', data: [], borderColor: '#666', showLine: true, pointRadius: 0, borderDash: [5, 5] }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: { min: 0, max: 1, title: { display: true, text: 'Recall' } }, y: { min: 0, max: 1, title: { display: true, text: 'Precision' } } } } });
+
+    gainsChart = createGainsChart('gainsChart');
+
+    const shiftCtx = document.getElementById('prevalenceShiftChart').getContext('2d');
+    const shiftLine = (label, color) => ({ label, data: [], borderColor: color, backgroundColor: 'transparent', showLine: true, pointRadius: 0, borderWidth: 3 });
+    prevalenceShiftChart = new Chart(shiftCtx, { type: 'scatter', data: { datasets: [shiftLine('PPV (Precision)', '#1E88E5'), shiftLine('NPV', '#3949AB'), shiftLine('Accuracy', '#009688'), { label: 'Current Matrix Prevalence', data: [], borderColor: '#666', showLine: true, pointRadius: 0, borderDash: [5, 5] }, { label: 'Explored Prevalence', data: [], backgroundColor: '#212121', pointRadius: 5 }] }, options: { responsive: true, maintainAspectRatio: false, animation: { duration: 0 }, scales: { x: { type: 'logarithmic', min: 0.001, max: 1, title: { display: true, text: 'Prevalence (log scale)' }, ticks: { callback: value => ([0.001, 0.01, 0.1, 1].includes(value) ? `${value * 100}%` : '') } }, y: { min: 0, max: 1, title: { display: true, text: 'Value' } } } } });
 
     const metricsCtx = document.getElementById('metricsChart').getContext('2d');
     metricsChart = new Chart(metricsCtx, {
         type: 'bar',
-        data: { labels: ['AUC', 'Accuracy', 'Precision', 'Recall', 'Specificity', 'F1-Score'], datasets: [{ data: [], backgroundColor: ['#673AB7', '#009688', '#1E88E5', '#388E3C', '#FB8C00', '#9C27B0'] }] },
-        plugins: [customDatalabelsPlugin],
+        data: { labels: [], datasets: [{ data: [] }] },
+        plugins: [customDatalabelsPlugin, errorBarsPlugin],
         options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -123,6 +560,14 @@ function initCharts() {
     });
 }
 
+function setLock(param, locked) {
+    lockState[param] = locked;
+    const toggle = document.querySelector(`.lock-toggle[data-param="${param}"]`);
+    toggle.textContent = locked ? '🔒' : '🔓';
+    toggle.classList.toggle('locked', locked);
+    updateSliderDisabledState();
+}
+
 function updateSliderDisabledState() {
     const sliders = { tp: document.getElementById('tpSlider'), fp: document.getElementById('fpSlider'), tn: document.getElementById('tnSlider'), fn: document.getElementById('fnSlider') };
     const lockedCount = Object.values(lockState).filter(isLocked => isLocked).length;
@@ -133,21 +578,44 @@ window.addEventListener('load', function () {
     initCharts();
     Object.keys(currentState).forEach(param => {
         const slider = document.getElementById(`${param}Slider`);
-        slider.addEventListener('input', () => {
-            document.getElementById(`${param}Value`).textContent = slider.value;
-            adjustValues(param, parseInt(slider.value));
-        });
+        slider.addEventListener('input', () => adjustValues(param, sliderCount(slider)));
     });
     document.querySelectorAll('.lock-toggle').forEach(lock => {
         lock.addEventListener('click', function () {
             const param = this.dataset.param;
-            lockState[param] = !lockState[param];
-            this.textContent = lockState[param] ? '🔒' : '🔓';
-            this.classList.toggle('locked', lockState[param]);
-            updateSliderDisabledState();
+            setLock(param, !lockState[param]);
         });
     });
+    const totalInput = document.getElementById('totalInput');
+    totalInput.addEventListener('change', () => {
+        setTotal(parseFloat(totalInput.value));
+        totalInput.value = totalSamples;
+    });
+    const unitSelect = document.getElementById('unitSelect');
+    unitSelect.addEventListener('change', () => {
+        sliderUnit = unitSelect.value;
+        configureSliders();
+        updateUI();
+    });
+    const prevalenceSlider = document.getElementById('prevalenceSlider');
+    prevalenceSlider.addEventListener('input', () => setPrevalence(parseFloat(prevalenceSlider.value) / 100));
+    document.getElementById('solveBtn').addEventListener('click', solveFromTargets);
+    document.getElementById('shiftPrevalenceSlider').addEventListener('input', updatePrevalenceShift);
+    document.getElementById('showIntervals').addEventListener('change', updateUI);
+    document.getElementById('intervalMethodSelect').addEventListener('change', updateUI);
+    document.getElementById('scoreFamilySelect').addEventListener('change', updateUI);
+    document.getElementById('rankingQualitySlider').addEventListener('input', updateUI);
+    initSeedControls(updateUI);
+    initMetricPicker('metricPicker', metricKeys, keys => {
+        metricKeys = keys;
+        updateUI();
+    });
+    initTabBar('gainsTabs', view => {
+        gainsView = view;
+        updateGainsChart(gainsChart, gainsView, simulated.labels, simulated.scores);
+    });
     if (window.innerWidth > 1200) { makeDraggable(document.getElementById('floatingControls'), document.getElementById('controlsTitle')); }
+    configureSliders();
     updateSliderDisabledState();
     updateUI();
 });
@@ -3,12 +3,12 @@
 // ============================================================
 
 // --- GLOBAL VARIABLES ---
-let mainChart, residualChart;
+let mainChart, residualChart, coefficientPathChart, validationCurveChart, biasVarianceChart;
 let points = []; // Array of {x, y, id}
 let nextPointId = 0;
 let isDragging = false;
 let draggedPointId = null;
-let regressionCoefficients = null;
+let regressionModel = null;
 
 // Chart scales
 const X_MIN = -10;
@@ -25,6 +25,11 @@ const ZOOM_FACTOR = 0.1; // 10% zoom per wheel step
 
 // --- POLYNOMIAL REGRESSION IMPLEMENTATION ---
 
+// The fit is solved in the variable u = (x − center) / scale, which maps the points onto [-1, 1],
+// with an SVD of the design matrix instead of the normal equations (whose condition number is
+// the square of the design's). Above this condition number the coefficients are flagged unreliable.
+const CONDITION_WARNING = 1e8;
+
 /**
  * Build Vandermonde matrix for polynomial regression
  * X: array of x values
@@ -44,113 +49,129 @@ function buildVandermonde(X, degree) {
 }
 
 /**
- * Transpose a matrix
+ * Thin singular value decomposition A = U·diag(S)·Vᵀ of an n×p matrix (n ≥ p)
+ * by one-sided Jacobi rotations, which stay accurate for the small singular values
+ * Returns { U (n×p), S (descending), V (p×p) }
  */
-function transpose(matrix) {
-    const rows = matrix.length;
-    const cols = matrix[0].length;
-    const result = [];
-    for (let j = 0; j < cols; j++) {
-        const row = [];
-        for (let i = 0; i < rows; i++) {
-            row.push(matrix[i][j]);
+function singularValueDecomposition(A) {
+    const n = A.length;
+    const p = A[0].length;
+    const U = A.map(row => [...row]);
+    const V = Array.from({ length: p }, (_, i) => Array.from({ length: p }, (_, j) => (i === j ? 1 : 0)));
+    
+    for (let sweep = 0; sweep < 60; sweep++) {
+        let rotated = false;
+        for (let j = 0; j < p - 1; j++) {
+            for (let k = j + 1; k < p; k++) {
+                let alpha = 0, beta = 0, gamma = 0;
+                for (let i = 0; i < n; i++) {
+                    alpha += U[i][j] * U[i][j];
+                    beta += U[i][k] * U[i][k];
+                    gamma += U[i][j] * U[i][k];
+                }
+                if (Math.abs(gamma) <= 1e-15 * Math.sqrt(alpha * beta)) continue;
+                rotated = true;
+                // Rotation that makes columns j and k orthogonal
+                const zeta = (beta - alpha) / (2 * gamma);
+                const t = Math.sign(zeta || 1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+                const c = 1 / Math.sqrt(1 + t * t);
+                const s = c * t;
+                for (const M of [U, V]) {
+                    for (const row of M) {
+                        const a = row[j], b = row[k];
+                        row[j] = c * a - s * b;
+                        row[k] = s * a + c * b;
+                    }
+                }
+            }
         }
-        result.push(row);
+        if (!rotated) break;
     }
-    return result;
+    
+    // Column norms are the singular values; sort them in descending order
+    const S = Array.from({ length: p }, (_, j) => Math.sqrt(U.reduce((sum, row) => sum + row[j] * row[j], 0)));
+    const order = S.map((_, j) => j).sort((a, b) => S[b] - S[a]);
+    return {
+        U: U.map(row => order.map(j => (S[j] > 0 ? row[j] / S[j] : 0))),
+        S: order.map(j => S[j]),
+        V: V.map(row => order.map(j => row[j]))
+    };
 }
 
 /**
- * Matrix multiplication: A * B
+ * Ratio of the largest to the smallest singular value (Infinity when rank deficient)
  */
-function multiply(A, B) {
-    const rowsA = A.length;
-    const colsA = A[0].length;
-    const colsB = B[0].length;
-    const result = [];
-    for (let i = 0; i < rowsA; i++) {
-        const row = [];
-        for (let j = 0; j < colsB; j++) {
-            let sum = 0;
-            for (let k = 0; k < colsA; k++) {
-                sum += A[i][k] * B[k][j];
-            }
-            row.push(sum);
-        }
-        result.push(row);
-    }
-    return result;
+function conditionNumber(S) {
+    const smallest = S[S.length - 1];
+    return smallest > 0 ? S[0] / smallest : Infinity;
 }
 
 /**
- * Solve linear system Ax = b using Gaussian elimination
+ * Center and scale that map the x values onto [-1, 1]
  */
-function solveLinearSystem(A, b) {
-    const n = A.length;
-    // Augmented matrix
-    const M = A.map((row, i) => [...row, b[i][0]]);
-    
-    // Forward elimination
-    for (let i = 0; i < n; i++) {
-        // Find pivot
-        let maxRow = i;
-        for (let k = i + 1; k < n; k++) {
-            if (Math.abs(M[k][i]) > Math.abs(M[maxRow][i])) {
-                maxRow = k;
-            }
-        }
-        // Swap rows
-        [M[i], M[maxRow]] = [M[maxRow], M[i]];
-        
-        // Make all rows below this one 0 in current column
-        for (let k = i + 1; k < n; k++) {
-            const factor = M[k][i] / M[i][i];
-            for (let j = i; j <= n; j++) {
-                M[k][j] -= factor * M[i][j];
-            }
-        }
-    }
-    
-    // Back substitution
-    const x = new Array(n).fill(0);
-    for (let i = n - 1; i >= 0; i--) {
-        x[i] = M[i][n] / M[i][i];
-        for (let k = i - 1; k >= 0; k--) {
-            M[k][n] -= M[k][i] * x[i];
-        }
-    }
-    
-    return x;
+function polynomialScaling(X) {
+    const center = X.reduce((sum, x) => sum + x, 0) / X.length;
+    const scale = Math.max(...X.map(x => Math.abs(x - center))) || 1;
+    return { center, scale };
 }
 
 /**
- * Fit polynomial regression model
- * Returns coefficients [β0, β1, ..., βdegree]
+ * Fit polynomial regression model by least squares on centered and scaled x
+ * weights: optional non-negative weight per point (weighted least squares, as used by the robust fits)
+ * Returns { coefficients (in u), center, scale, svd, rank, conditionNumber, reliable }
+ * or null when there are fewer points than coefficients. Directions with negligible singular values
+ * (fewer distinct x values than coefficients) are dropped, giving the minimum-norm solution.
  */
-function fitPolynomialRegression(X, y, degree) {
+function fitPolynomialRegression(X, y, degree, weights = null) {
     if (X.length < degree + 1) {
         return null; // Not enough points
     }
     
-    const V = buildVandermonde(X, degree);
-    const Vt = transpose(V);
-    const VtV = multiply(Vt, V);
-    const Vty = multiply(Vt, y.map(val => [val]));
+    const { center, scale } = polynomialScaling(X);
+    // Weighted least squares scales each row (and y) by √w
+    const root = weights ? weights.map(Math.sqrt) : X.map(() => 1);
+    const V = buildVandermonde(X.map(x => (x - center) / scale), degree);
+    const svd = singularValueDecomposition(V.map((row, i) => row.map(v => v * root[i])));
     
-    // Solve (V^T * V) * β = V^T * y
-    const coefficients = solveLinearSystem(VtV, Vty);
-    return coefficients;
+    // β = V·diag(1/S)·Uᵀy over the numerically non-zero singular values
+    const tolerance = Number.EPSILON * X.length * svd.S[0];
+    const rank = svd.S.filter(s => s > tolerance).length;
+    const coefficients = new Array(degree + 1).fill(0);
+    for (let j = 0; j < rank; j++) {
+        const weight = svd.U.reduce((sum, row, i) => sum + row[j] * root[i] * y[i], 0) / svd.S[j];
+        svd.V.forEach((row, i) => { coefficients[i] += weight * row[j]; });
+    }
+    
+    const condition = rank < svd.S.length ? Infinity : conditionNumber(svd.S);
+    return {
+        coefficients,
+        center,
+        scale,
+        svd,
+        rank,
+        conditionNumber: condition,
+        reliable: condition < CONDITION_WARNING
+    };
+}
+
+/**
+ * Condition number a normal-equations solver in raw x would face: cond(VᵀV) = cond(V)²
+ */
+function normalEquationsConditionNumber(X, degree) {
+    return conditionNumber(singularValueDecomposition(buildVandermonde(X, degree)).S) ** 2;
 }
 
 /**
- * Predict y values for given x values using fitted model
+ * Predict y values for given x values using fitted model (Horner's scheme in the scaled variable)
  */
-function predict(X, coefficients) {
-    if (!coefficients) return X.map(() => 0);
+function predict(X, model) {
+    if (!model) return X.map(() => 0);
+    const { coefficients, center, scale } = model;
     return X.map(x => {
+        const u = (x - center) / scale;
         let y = 0;
-        for (let i = 0; i < coefficients.length; i++) {
-            y += coefficients[i] * Math.pow(x, i);
+        for (let i = coefficients.length - 1; i >= 0; i--) {
+            y = y * u + coefficients[i];
         }
         return y;
     });
@@ -175,30 +196,588 @@ function calculateStatistics(yTrue, yPred, n, degree) {
 }
 
 /**
- * Calculate confidence intervals for predictions (pointwise ±2σ)
+ * Calculate pointwise confidence (mean response) and prediction bands at the given x values
+ * model: fitted model from fitPolynomialRegression; confidence: level in (0, 1)
+ * The half-widths are t(1 − α/2, n − p) · s · √h and t · s · √(1 + h), where s² = SSres / (n − p),
+ * p is the rank of the fit and h = v(u)ᵀ (VᵀV)⁺ v(u) is the leverage of x, read from the SVD.
+ * Returns null without residual degrees of freedom.
  */
-function calculateConfidenceInterval(X, coefficients, residuals, confidence = 0.95) {
-    if (!coefficients || X.length === 0) return X.map(() => ({ lower: 0, upper: 0 }));
+function calculateConfidenceInterval(X, model, residuals, confidence = 0.95) {
+    if (!model || X.length === 0) return null;
     
     const n = residuals.length;
-    const degree = coefficients.length - 1;
+    const p = model.rank;
+    if (n <= p) return null;
     
-    // Estimate standard deviation of residuals
     const ssRes = residuals.reduce((sum, r) => sum + r * r, 0);
-    const sigma = Math.sqrt(ssRes / Math.max(1, n - degree - 1));
+    const s = Math.sqrt(ssRes / (n - p));
+    const t = studentTQuantile(1 - (1 - confidence) / 2, n - p);
+    const { S, V } = model.svd;
+    const yPredicted = predict(X, model);
     
-    // For simplicity, use ±2σ as approximate 95% confidence interval
-    const multiplier = 2;
-    
-    return X.map(x => {
-        const yPred = predict([x], coefficients)[0];
+    return X.map((x, index) => {
+        const v = buildVandermonde([(x - model.center) / model.scale], model.coefficients.length - 1)[0];
+        let leverage = 0;
+        for (let j = 0; j < p; j++) {
+            const projection = v.reduce((sum, val, i) => sum + val * V[i][j], 0) / S[j];
+            leverage += projection * projection;
+        }
+        const yPred = yPredicted[index];
+        const confidenceHalfWidth = t * s * Math.sqrt(leverage);
+        const predictionHalfWidth = t * s * Math.sqrt(1 + leverage);
         return {
-            lower: yPred - multiplier * sigma,
-            upper: yPred + multiplier * sigma
+            lower: yPred - confidenceHalfWidth,
+            upper: yPred + confidenceHalfWidth,
+            predictionLower: yPred - predictionHalfWidth,
+            predictionUpper: yPred + predictionHalfWidth
         };
     });
 }
 
+// --- REGULARIZATION (ridge, lasso, elastic net) ---
+
+// Penalized fits minimize (1/2n)·‖y − ŷ‖² + λ·(α‖β‖₁ + (1 − α)/2·‖β‖²) over the standardized powers
+// u, u², …, u^degree with an unpenalized intercept, so λ keeps its meaning across degrees and zoom levels.
+// α is 0 for ridge, 1 for lasso and the L1 ratio slider for elastic net.
+const PENALTY_L1_RATIO = { ridge: 0, lasso: 1 };
+const PENALTY_LABELS = { ridge: 'Ridge', lasso: 'Lasso', elasticNet: 'Elastic Net' };
+const LAMBDA_PATH = Array.from({ length: 31 }, (_, i) => Math.pow(10, 2 - i * 0.2)); // 100 down to 1e-4
+const COORDINATE_DESCENT_TOLERANCE = 1e-6;
+const MAX_COORDINATE_DESCENT_SWEEPS = 500;
+const COEFFICIENT_COLORS = [
+    '#1976d2', '#d32f2f', '#388e3c', '#f57c00', '#7b1fa2',
+    '#0097a7', '#c2185b', '#5d4037', '#afb42b', '#455a64'
+];
+
+/**
+ * Powers u¹…u^degree of the scaled x, each centered and divided by its standard deviation
+ * Returns { Z, means, sds, center, scale }
+ */
+function standardizedPolynomialFeatures(X, degree) {
+    const { center, scale } = polynomialScaling(X);
+    const n = X.length;
+    const powers = buildVandermonde(X.map(x => (x - center) / scale), degree).map(row => row.slice(1));
+    const means = [];
+    const sds = [];
+    for (let j = 0; j < degree; j++) {
+        const mean = powers.reduce((sum, row) => sum + row[j], 0) / n;
+        const sd = Math.sqrt(powers.reduce((sum, row) => sum + Math.pow(row[j] - mean, 2), 0) / n);
+        means.push(mean);
+        sds.push(sd || 1); // a constant column stays all zeros
+    }
+    return { Z: powers.map(row => row.map((v, j) => (v - means[j]) / sds[j])), means, sds, center, scale };
+}
+
+/**
+ * Ridge solution β = (ZᵀZ + nλI)⁻¹ Zᵀy from the SVD of Z: each direction is shrunk by S²/(S² + nλ)
+ */
+function ridgeCoefficients(svd, yCentered, lambda) {
+    const n = yCentered.length;
+    const beta = new Array(svd.V.length).fill(0);
+    svd.S.forEach((s, j) => {
+        const weight = svd.U.reduce((sum, row, i) => sum + row[j] * yCentered[i], 0) * s / (s * s + n * lambda);
+        svd.V.forEach((row, i) => { beta[i] += weight * row[j]; });
+    });
+    return beta;
+}
+
+/**
+ * Elastic-net coordinate descent (soft-thresholding each βⱼ in turn), started from `start`
+ * Works on the Gram matrix ZᵀZ/n and Zᵀy/n, so a sweep costs O(p²) whatever the number of points
+ */
+function coordinateDescent(Z, yCentered, lambda, l1Ratio, start) {
+    const n = Z.length;
+    const p = start.length;
+    const beta = [...start];
+    const gram = Array.from({ length: p }, (_, j) => Array.from({ length: p }, (_, k) => Z.reduce((sum, row) => sum + row[j] * row[k], 0) / n));
+    const correlation = Array.from({ length: p }, (_, j) => Z.reduce((sum, row, i) => sum + row[j] * yCentered[i], 0) / n);
+    
+    for (let sweep = 0; sweep < MAX_COORDINATE_DESCENT_SWEEPS; sweep++) {
+        let maxChange = 0, maxCoefficient = 1;
+        for (let j = 0; j < p; j++) {
+            // Partial residual correlation zⱼᵀ(y − Σₖ≠ⱼ zₖβₖ)/n
+            let rho = correlation[j];
+            for (let k = 0; k < p; k++) {
+                if (k !== j) rho -= gram[j][k] * beta[k];
+            }
+            const shrunk = Math.sign(rho) * Math.max(0, Math.abs(rho) - lambda * l1Ratio);
+            const denominator = gram[j][j] + lambda * (1 - l1Ratio);
+            const updated = denominator > 0 ? shrunk / denominator : 0;
+            maxChange = Math.max(maxChange, Math.abs(updated - beta[j]));
+            maxCoefficient = Math.max(maxCoefficient, Math.abs(updated));
+            beta[j] = updated;
+        }
+        if (maxChange < COORDINATE_DESCENT_TOLERANCE * maxCoefficient) break;
+    }
+    return beta;
+}
+
+/**
+ * Fit a penalized polynomial at `lambda` and trace the standardized coefficients along LAMBDA_PATH
+ * (lasso and elastic net are warm-started from the previous, larger λ); pass lambdas = [] for the fit alone
+ * Returns { model, path: [{ lambda, beta }] }, where model has the same shape predict() expects
+ */
+function regularizationPath(X, y, degree, l1Ratio, lambda, lambdas = LAMBDA_PATH) {
+    const features = standardizedPolynomialFeatures(X, degree);
+    const yMean = y.reduce((sum, v) => sum + v, 0) / y.length;
+    const yCentered = y.map(v => v - yMean);
+    const svd = l1Ratio === 0 ? singularValueDecomposition(features.Z) : null;
+    
+    let beta = new Array(degree).fill(0);
+    const path = [...lambdas, lambda].sort((a, b) => b - a).map(l => {
+        beta = svd ? ridgeCoefficients(svd, yCentered, l) : coordinateDescent(features.Z, yCentered, l, l1Ratio, beta);
+        return { lambda: l, beta };
+    });
+    
+    // Back to the u basis: ŷ = ȳ + Σ βⱼ (uʲ − meanⱼ) / sdⱼ
+    const fitted = path.find(entry => entry.lambda === lambda).beta;
+    const coefficients = [yMean, ...fitted.map((b, j) => b / features.sds[j])];
+    fitted.forEach((b, j) => { coefficients[0] -= b * features.means[j] / features.sds[j]; });
+    
+    return {
+        model: { coefficients, center: features.center, scale: features.scale },
+        path
+    };
+}
+
+function formatLambda(lambda) {
+    return lambda >= 0.01 ? String(Number(lambda.toPrecision(2))) : lambda.toExponential(1);
+}
+
+// --- VALIDATION CURVE AND BIAS–VARIANCE SIMULATION ---
+
+const MAX_DEGREE = 10; // degreeSlider max
+const HOLDOUT_TEST_FRACTION = 0.3;
+const VALIDATION_FOLDS = 5;
+const MSE_DISPLAY_FLOOR = 1e-6; // an interpolating fit has zero train error, which a log axis cannot show
+
+// The simulation keeps the x positions of the points and redraws y = f(x) + ε around this known curve
+const TRUE_FUNCTION = x => 4 * Math.sin(0.35 * x) + 0.1 * x;
+const BIAS_VARIANCE_RUNS = 100;
+const SIMULATED_CURVES_SHOWN = 20;
+const SIMULATION_GRID_SIZE = 60;
+let biasVarianceCache = { key: null, result: null };
+
+/**
+ * Stable pseudo-random key in [0, 1) for a point, drawn from the seed and the point id
+ * so that adding or removing points leaves the others in their split
+ */
+function pointSplitKey(id) {
+    return withRandomSeed(getSeed() + 0x9E3779B9 * (id + 1), seededRandom);
+}
+
+/**
+ * Train/test index splits of the points: one for holdout, VALIDATION_FOLDS for k-fold
+ * (dealt in key order, so fold sizes differ by at most one). Returns [] when validation is off.
+ */
+function validationSplits(points, method) {
+    const n = points.length;
+    if (method === 'none' || n < 2) return [];
+    const order = points
+        .map((p, i) => ({ i, key: pointSplitKey(p.id) }))
+        .sort((a, b) => a.key - b.key)
+        .map(entry => entry.i);
+    
+    if (method === 'holdout') {
+        const nTest = Math.min(n - 1, Math.max(1, Math.round(n * HOLDOUT_TEST_FRACTION)));
+        return [{ train: order.slice(nTest), test: order.slice(0, nTest) }];
+    }
+    const k = Math.min(VALIDATION_FOLDS, n);
+    return Array.from({ length: k }, (_, fold) => ({
+        train: order.filter((_, rank) => rank % k !== fold),
+        test: order.filter((_, rank) => rank % k === fold)
+    }));
+}
+
+/**
+ * Fit with the current settings { penalty, lambda, l1Ratio }: OLS, or the penalized fit at λ alone
+ */
+function fitModel(X, y, degree, settings) {
+    if (X.length < degree + 1) return null;
+    return settings.penalty === 'none'
+        ? fitPolynomialRegression(X, y, degree)
+        : regularizationPath(X, y, degree, settings.l1Ratio, settings.lambda, []).model;
+}
+
+function meanSquaredError(model, X, y) {
+    const yPred = predict(X, model);
+    return y.reduce((sum, v, i) => sum + Math.pow(v - yPred[i], 2), 0) / y.length;
+}
+
+/**
+ * Train and test MSE averaged over the splits for each degree 1…MAX_DEGREE
+ * (null where a training set has fewer points than coefficients)
+ */
+function validationCurve(X, y, splits, settings) {
+    const pick = (values, indices) => indices.map(i => values[i]);
+    const train = [];
+    const test = [];
+    for (let degree = 1; degree <= MAX_DEGREE; degree++) {
+        let trainSum = 0, testSum = 0, feasible = true;
+        for (const split of splits) {
+            const trainX = pick(X, split.train), trainY = pick(y, split.train);
+            const model = fitModel(trainX, trainY, degree, settings);
+            if (!model) {
+                feasible = false;
+                break;
+            }
+            trainSum += meanSquaredError(model, trainX, trainY);
+            testSum += meanSquaredError(model, pick(X, split.test), pick(y, split.test));
+        }
+        train.push(feasible ? trainSum / splits.length : null);
+        test.push(feasible ? testSum / splits.length : null);
+    }
+    return { train, test };
+}
+
+/**
+ * Refit BIAS_VARIANCE_RUNS samples y = f(x) + ε, ε ~ N(0, noise²), at the given x positions for every degree
+ * and average over a grid spanning the points: bias² = mean (E[f̂] − f)², variance = mean Var(f̂),
+ * so the expected error on new data is bias² + variance + noise². Every degree sees the same noise draws,
+ * taken from their own seeded stream so the page's random sequence is left untouched.
+ * Returns { grid, truth, degrees: [{ bias2, variance, curves } | null] }
+ */
+function biasVarianceDecomposition(X, settings, noise) {
+    const lo = Math.min(...X), hi = Math.max(...X);
+    const grid = Array.from({ length: SIMULATION_GRID_SIZE }, (_, i) => lo + (hi - lo) * i / (SIMULATION_GRID_SIZE - 1));
+    const truth = grid.map(TRUE_FUNCTION);
+    const fX = X.map(TRUE_FUNCTION);
+    const samples = withRandomSeed(getSeed() + 1, () =>
+        Array.from({ length: BIAS_VARIANCE_RUNS }, () => fX.map(f => f + randomGaussian(0, noise))));
+    
+    const degrees = [];
+    for (let degree = 1; degree <= MAX_DEGREE; degree++) {
+        if (X.length < degree + 1) {
+            degrees.push(null);
+            continue;
+        }
+        const predictions = samples.map(ySample => predict(grid, fitModel(X, ySample, degree, settings)));
+        const mean = grid.map((_, g) => predictions.reduce((sum, p) => sum + p[g], 0) / BIAS_VARIANCE_RUNS);
+        const bias2 = mean.reduce((sum, m, g) => sum + Math.pow(m - truth[g], 2), 0) / grid.length;
+        const variance = grid.reduce((sum, _, g) =>
+            sum + predictions.reduce((s, p) => s + Math.pow(p[g] - mean[g], 2), 0) / BIAS_VARIANCE_RUNS, 0) / grid.length;
+        degrees.push({ bias2, variance, curves: predictions.slice(0, SIMULATED_CURVES_SHOWN) });
+    }
+    return { grid, truth, degrees };
+}
+
+function formatMse(value) {
+    return value >= 0.01 ? value.toFixed(3) : value.toExponential(2);
+}
+
+// Larger marker on the current degree
+function degreeMarkerRadius(degree) {
+    return Array.from({ length: MAX_DEGREE }, (_, i) => (i + 1 === degree ? 6 : 3));
+}
+
+// Refitting every degree on every split is too slow for every slider tick or drag: the curve and its MSE
+// are redrawn once the inputs settle
+let validationInput = null;
+
+/**
+ * Plot train and test MSE against degree and report the test MSE of the current fit
+ */
+function updateValidationCurve() {
+    if (!validationInput) return;
+    const { X, y, splits, settings, degree, method } = validationInput;
+    const hint = document.getElementById('validationCurveHint');
+    const label = document.getElementById('validationMseLabel');
+    const value = document.getElementById('validationMseValue');
+    
+    if (splits.length === 0) {
+        validationCurveChart.data.datasets.forEach(dataset => { dataset.data = []; });
+        validationCurveChart.update('none');
+        label.textContent = 'Validation MSE';
+        value.textContent = '-';
+        hint.textContent = 'Choose a holdout split or k-fold cross-validation to compare train and test error across degrees.';
+        return;
+    }
+    
+    const curve = validationCurve(X, y, splits, settings);
+    const display = values => values.map(v => (v === null ? null : Math.max(v, MSE_DISPLAY_FLOOR)));
+    validationCurveChart.data.datasets[0].data = display(curve.train);
+    validationCurveChart.data.datasets[1].data = display(curve.test);
+    validationCurveChart.data.datasets.forEach(dataset => { dataset.pointRadius = degreeMarkerRadius(degree); });
+    validationCurveChart.update('none');
+    
+    const current = curve.test[degree - 1];
+    label.textContent = method === 'holdout' ? 'Test MSE (holdout)' : `CV MSE (${splits.length}-fold)`;
+    value.textContent = current === null ? '-' : formatMse(current);
+    
+    const feasible = curve.test.map((v, i) => ({ v, degree: i + 1 })).filter(entry => entry.v !== null);
+    if (feasible.length === 0) {
+        hint.textContent = 'Not enough training points in each split to fit even a line.';
+        return;
+    }
+    const best = feasible.reduce((a, b) => (b.v < a.v ? b : a));
+    hint.textContent = `Lowest ${method === 'holdout' ? 'test' : 'cross-validated'} MSE at degree ${best.degree} (${formatMse(best.v)}). `
+        + 'Train error keeps falling with the degree; test error rises again once the curve starts fitting the noise.';
+}
+
+const scheduleValidationCurve = debounce(updateValidationCurve, 300);
+
+// Refitting a thousand models is too slow for every slider tick or drag: the simulation reruns once the inputs
+// settle, and degree changes reuse the last run
+let biasVarianceInput = null;
+
+/**
+ * Run (or reuse) the simulation, plot bias², variance and their sum against degree,
+ * and draw the true curve and a few of the refitted curves of the current degree on the main chart
+ */
+function updateBiasVariance() {
+    if (!biasVarianceInput) return;
+    const { X, settings, degree } = biasVarianceInput;
+    const enabled = document.getElementById('simulateBiasVariance').checked;
+    const noise = parseFloat(document.getElementById('noiseSlider').value);
+    const hint = document.getElementById('biasVarianceHint');
+    
+    if (!enabled || X.length < 2) {
+        biasVarianceChart.data.datasets.forEach(dataset => { dataset.data = []; });
+        biasVarianceChart.update('none');
+        mainChart.data.datasets[9].data = [];
+        mainChart.data.datasets[10].data = [];
+        mainChart.update('none');
+        hint.textContent = enabled
+            ? 'Place at least two points: the simulation reuses their x positions.'
+            : 'Turn on the simulation to refit fresh noisy samples of a known curve at these x positions and split the error into bias² and variance.';
+        return;
+    }
+    
+    const key = JSON.stringify([X, settings, noise, getSeed()]);
+    if (biasVarianceCache.key !== key) {
+        biasVarianceCache = { key, result: biasVarianceDecomposition(X, settings, noise) };
+    }
+    const { grid, truth, degrees } = biasVarianceCache.result;
+    const noiseVariance = noise * noise;
+    
+    const series = [
+        degrees.map(d => (d ? d.bias2 : null)),
+        degrees.map(d => (d ? d.variance : null)),
+        degrees.map(d => (d ? noiseVariance : null)),
+        degrees.map(d => (d ? d.bias2 + d.variance + noiseVariance : null))
+    ];
+    biasVarianceChart.data.datasets.forEach((dataset, i) => {
+        dataset.data = series[i].map(v => (v === null ? null : Math.max(v, MSE_DISPLAY_FLOOR)));
+        dataset.pointRadius = degreeMarkerRadius(degree);
+    });
+    biasVarianceChart.update('none');
+    
+    mainChart.data.datasets[9].data = grid.map((x, i) => ({ x, y: truth[i] }));
+    const current = degrees[degree - 1];
+    const curves = [];
+    if (current) {
+        current.curves.forEach(curve => {
+            grid.forEach((x, i) => curves.push({ x, y: curve[i] }));
+            curves.push({ x: NaN, y: NaN }); // Break line
+        });
+    }
+    mainChart.data.datasets[10].data = curves;
+    mainChart.update('none');
+    
+    const feasible = degrees.map((d, i) => ({ d, degree: i + 1 })).filter(entry => entry.d);
+    const best = feasible.reduce((a, b) => (b.d.bias2 + b.d.variance < a.d.bias2 + a.d.variance ? b : a));
+    hint.textContent = (current
+        ? `Degree ${degree}: bias² ${formatMse(current.bias2)}, variance ${formatMse(current.variance)}, noise σ² ${formatMse(noiseVariance)}. `
+        : '')
+        + `Expected test error is lowest at degree ${best.degree}; low degrees miss the curve (bias), high degrees chase the noise (variance).`;
+}
+
+const scheduleBiasVariance = debounce(updateBiasVariance, 300);
+
+// --- ROBUST REGRESSION (Huber, LAD, RANSAC, Theil–Sen) ---
+
+const HUBER_K = 1.345; // 95% efficiency under Gaussian noise
+const IRLS_MAX_ITERATIONS = 100;
+const IRLS_TOLERANCE = 1e-8;
+const RANSAC_TRIALS = 200;
+const RANSAC_THRESHOLD = 2.5; // in robust residual standard deviations
+const ROBUST_METHODS = {
+    huber: { label: 'Huber', color: '#7b1fa2', checkbox: 'robustHuber', dataset: 11 },
+    lad: { label: 'LAD', color: '#f57c00', checkbox: 'robustLad', dataset: 12 },
+    ransac: { label: 'RANSAC', color: '#c2185b', checkbox: 'robustRansac', dataset: 13 },
+    theilSen: { label: 'Theil–Sen', color: '#0097a7', checkbox: 'robustTheilSen', dataset: 14 }
+};
+const RANSAC_INLIERS_DATASET = 15;
+
+function median(values) {
+    return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+// Residual scale that ignores outliers: MAD / 0.6745 estimates σ for Gaussian noise
+function robustScale(residuals) {
+    return median(residuals.map(Math.abs)) / 0.6745;
+}
+
+/**
+ * Iteratively reweighted least squares from the OLS fit: weightOf(residuals) gives the next weights
+ * Returns { model, weights, iterations }
+ */
+function iterativelyReweighted(X, y, degree, weightOf) {
+    let model = fitPolynomialRegression(X, y, degree);
+    let weights = X.map(() => 1);
+    let iterations = 0;
+    while (iterations < IRLS_MAX_ITERATIONS) {
+        const yPred = predict(X, model);
+        weights = weightOf(y.map((v, i) => v - yPred[i]));
+        const next = fitPolynomialRegression(X, y, degree, weights);
+        iterations++;
+        const change = next.coefficients.reduce((max, c, j) => Math.max(max, Math.abs(c - model.coefficients[j])), 0);
+        model = next;
+        if (change < IRLS_TOLERANCE * Math.max(1, ...model.coefficients.map(Math.abs))) break;
+    }
+    return { model, weights, iterations };
+}
+
+/**
+ * Huber M-estimator: squared loss for |r| ≤ k·s, linear beyond (weight k·s/|r|); s is re-estimated each step
+ */
+function fitHuber(X, y, degree) {
+    const result = iterativelyReweighted(X, y, degree, residuals => {
+        const cutoff = HUBER_K * (robustScale(residuals) || 1e-12);
+        return residuals.map(r => (Math.abs(r) <= cutoff ? 1 : cutoff / Math.abs(r)));
+    });
+    const downweighted = result.weights.filter(w => w < 1).length;
+    return { model: result.model, note: `${downweighted} of ${X.length} points down-weighted` };
+}
+
+/**
+ * Least absolute deviations (median regression) by IRLS with weights 1/|r|, floored to keep them finite
+ */
+function fitLad(X, y, degree) {
+    const floor = 1e-6 * (Math.max(...y) - Math.min(...y) || 1);
+    const result = iterativelyReweighted(X, y, degree, residuals => residuals.map(r => 1 / Math.max(Math.abs(r), floor)));
+    return { model: result.model, note: `${result.iterations} IRLS iterations` };
+}
+
+/**
+ * RANSAC: exact fits through random minimal subsets (degree + 1 points); the subset with the most
+ * points within RANSAC_THRESHOLD robust standard deviations wins and OLS is refitted on those inliers.
+ * Subsets come from their own seeded stream. Returns { model, inliers (indices), note }
+ */
+function fitRansac(X, y, degree) {
+    const n = X.length;
+    const olsPred = predict(X, fitPolynomialRegression(X, y, degree));
+    const threshold = RANSAC_THRESHOLD * (robustScale(y.map((v, i) => v - olsPred[i])) || 1e-9);
+    
+    let best = { inliers: [], sse: Infinity };
+    withRandomSeed(getSeed() + 2, () => {
+        for (let trial = 0; trial < RANSAC_TRIALS; trial++) {
+            // Partial Fisher–Yates shuffle for the minimal subset
+            const indices = X.map((_, i) => i);
+            for (let i = 0; i <= degree; i++) {
+                const j = i + Math.floor(seededRandom() * (n - i));
+                [indices[i], indices[j]] = [indices[j], indices[i]];
+            }
+            const subset = indices.slice(0, degree + 1);
+            const candidate = fitPolynomialRegression(subset.map(i => X[i]), subset.map(i => y[i]), degree);
+            if (candidate.rank < degree + 1) continue; // repeated x values
+            const yPred = predict(X, candidate);
+            const inliers = X.map((_, i) => i).filter(i => Math.abs(y[i] - yPred[i]) <= threshold);
+            const sse = inliers.reduce((sum, i) => sum + Math.pow(y[i] - yPred[i], 2), 0);
+            if (inliers.length > best.inliers.length || (inliers.length === best.inliers.length && sse < best.sse)) {
+                best = { inliers, sse };
+            }
+        }
+    });
+    
+    const inliers = best.inliers.length >= degree + 1 ? best.inliers : X.map((_, i) => i);
+    return {
+        model: fitPolynomialRegression(inliers.map(i => X[i]), inliers.map(i => y[i]), degree),
+        inliers,
+        note: `${inliers.length} of ${n} inliers`
+    };
+}
+
+/**
+ * Theil–Sen line: median of the pairwise slopes, intercept the median of y − slope·x (straight lines only)
+ */
+function fitTheilSen(X, y) {
+    const slopes = [];
+    for (let i = 0; i < X.length; i++) {
+        for (let j = i + 1; j < X.length; j++) {
+            if (X[j] !== X[i]) slopes.push((y[j] - y[i]) / (X[j] - X[i]));
+        }
+    }
+    const slope = slopes.length ? median(slopes) : 0;
+    const intercept = median(y.map((v, i) => v - slope * X[i]));
+    return { model: { coefficients: [intercept, slope], center: 0, scale: 1 }, note: 'straight line at any degree' };
+}
+
+/**
+ * Coefficients of a fitted model in powers of the raw x: expands Σ cₖ ((x − center) / scale)ᵏ
+ */
+function rawCoefficients(model) {
+    const { coefficients, center, scale } = model;
+    const raw = new Array(coefficients.length).fill(0);
+    coefficients.forEach((c, k) => {
+        // c · scale⁻ᵏ · Σⱼ C(k, j) xʲ (−center)ᵏ⁻ʲ
+        let binomial = 1;
+        for (let j = 0; j <= k; j++) {
+            raw[j] += c * binomial * Math.pow(-center, k - j) / Math.pow(scale, k);
+            binomial = binomial * (k - j) / (j + 1);
+        }
+    });
+    return raw;
+}
+
+function formatCoefficient(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude < 1e-12) return (0).toFixed(3); // round-off of a coefficient that is exactly zero
+    return (magnitude < 1e-3 || magnitude >= 1e4) ? value.toExponential(2) : value.toFixed(3);
+}
+
+// RANSAC and Theil–Sen refit hundreds of subsets, too slow for every drag: the robust fits are redrawn once
+// the points settle
+let robustInput = null;
+
+/**
+ * Overlay the selected robust fits on the main chart (with RANSAC's inliers ringed) and list
+ * their raw-x coefficients next to the least-squares fit
+ */
+function updateRobustFits() {
+    if (!robustInput) return;
+    const { X, y, degree, xCurve, olsModel } = robustInput;
+    const selected = Object.keys(ROBUST_METHODS).filter(key => document.getElementById(ROBUST_METHODS[key].checkbox).checked);
+    const fits = {};
+    if (olsModel) {
+        selected.forEach(key => {
+            if (key === 'huber') fits[key] = fitHuber(X, y, degree);
+            if (key === 'lad') fits[key] = fitLad(X, y, degree);
+            if (key === 'ransac') fits[key] = fitRansac(X, y, degree);
+            if (key === 'theilSen') fits[key] = fitTheilSen(X, y);
+        });
+    }
+    
+    Object.entries(ROBUST_METHODS).forEach(([key, method]) => {
+        const fit = fits[key];
+        const yCurve = fit ? predict(xCurve, fit.model) : [];
+        mainChart.data.datasets[method.dataset].data = fit ? xCurve.map((x, i) => ({ x, y: yCurve[i] })) : [];
+    });
+    mainChart.data.datasets[RANSAC_INLIERS_DATASET].data = fits.ransac
+        ? fits.ransac.inliers.map(i => ({ x: X[i], y: y[i] }))
+        : [];
+    mainChart.update('none');
+    
+    const card = document.getElementById('robustCard');
+    card.style.display = selected.length ? '' : 'none';
+    if (!selected.length) return;
+    
+    const columns = degree + 1;
+    document.getElementById('robustTableHead').innerHTML = '<tr><th>Method</th>'
+        + Array.from({ length: columns }, (_, j) => `<th>β${j}</th>`).join('') + '<th>Notes</th></tr>';
+    const rows = olsModel
+        ? [{ name: 'OLS', model: olsModel, note: 'least squares', emphasis: true },
+            ...selected.map(key => ({ name: ROBUST_METHODS[key].label, model: fits[key].model, note: fits[key].note }))]
+        : [];
+    document.getElementById('robustTableBody').innerHTML = rows.map(row => {
+        const raw = rawCoefficients(row.model);
+        const cells = Array.from({ length: columns }, (_, j) => `<td>${j < raw.length ? formatCoefficient(raw[j]) : '—'}</td>`).join('');
+        return `<tr${row.emphasis ? ' class="emphasis"' : ''}><td>${row.name}</td>${cells}<td>${row.note}</td></tr>`;
+    }).join('');
+}
+
+const scheduleRobustFits = debounce(updateRobustFits, 300);
+
 // --- CHART INITIALIZATION ---
 
 function initCharts() {
@@ -230,11 +809,11 @@ function initCharts() {
                     tension: 0.4
                 },
                 {
-                    label: 'Confidence Band Lower',
+                    label: 'Confidence Band',
                     data: [],
                     type: 'line',
                     borderColor: 'transparent',
-                    backgroundColor: 'rgba(211, 47, 47, 0.1)',
+                    backgroundColor: 'rgba(211, 47, 47, 0.2)',
                     borderWidth: 0,
                     pointRadius: 0,
                     fill: '+1'
@@ -244,7 +823,7 @@ function initCharts() {
                     data: [],
                     type: 'line',
                     borderColor: 'transparent',
-                    backgroundColor: 'rgba(211, 47, 47, 0.1)',
+                    backgroundColor: 'rgba(211, 47, 47, 0.2)',
                     borderWidth: 0,
                     pointRadius: 0,
                     fill: false
@@ -259,6 +838,91 @@ function initCharts() {
                     borderDash: [3, 3],
                     pointRadius: 0,
                     showLine: true
+                },
+                {
+                    label: 'Prediction Band',
+                    data: [],
+                    type: 'line',
+                    borderColor: 'rgba(25, 118, 210, 0.5)',
+                    backgroundColor: 'rgba(25, 118, 210, 0.08)',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    fill: '+1'
+                },
+                {
+                    label: 'Prediction Band Upper',
+                    data: [],
+                    type: 'line',
+                    borderColor: 'rgba(25, 118, 210, 0.5)',
+                    backgroundColor: 'transparent',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    fill: false
+                },
+                {
+                    label: 'OLS Fit',
+                    data: [],
+                    type: 'line',
+                    borderColor: '#9e9e9e',
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    fill: false,
+                    tension: 0.4
+                },
+                {
+                    label: 'Test Points',
+                    data: [],
+                    backgroundColor: '#ffffff',
+                    borderColor: '#f57c00',
+                    borderWidth: 2,
+                    pointRadius: 6,
+                    pointHoverRadius: 8,
+                    pointHoverBorderWidth: 3
+                },
+                {
+                    label: 'True Function',
+                    data: [],
+                    type: 'line',
+                    borderColor: '#388e3c',
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false
+                },
+                {
+                    label: 'Simulated Fits',
+                    data: [],
+                    type: 'line',
+                    borderColor: 'rgba(211, 47, 47, 0.15)',
+                    backgroundColor: 'transparent',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: false,
+                    spanGaps: false
+                },
+                ...Object.values(ROBUST_METHODS).map(method => ({
+                    label: method.label,
+                    data: [],
+                    type: 'line',
+                    borderColor: method.color,
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false,
+                    tension: 0.4
+                })),
+                {
+                    label: 'RANSAC Inliers',
+                    data: [],
+                    backgroundColor: 'transparent',
+                    borderColor: '#c2185b',
+                    borderWidth: 2,
+                    pointRadius: 10,
+                    pointHoverRadius: 10
                 }
             ]
         },
@@ -282,16 +946,17 @@ function initCharts() {
                 legend: {
                     display: true,
                     labels: {
-                        filter: function(item) {
-                            // Hide confidence band entries from legend
-                            return item.text !== 'Confidence Band Lower' && item.text !== 'Confidence Band Upper';
+                        filter: function(item, data) {
+                            // Only datasets currently drawn, and one entry per band (on its lower edge)
+                            return data.datasets[item.datasetIndex].data.length > 0
+                                && item.text !== 'Confidence Band Upper' && item.text !== 'Prediction Band Upper';
                         }
                     }
                 },
                 tooltip: {
                     callbacks: {
                         label: function(context) {
-                            if (context.dataset.label === 'Data Points') {
+                            if (context.dataset.label === 'Data Points' || context.dataset.label === 'Test Points') {
                                 return `Point (${context.parsed.x.toFixed(2)}, ${context.parsed.y.toFixed(2)})`;
                             }
                             return `${context.dataset.label}: ${context.parsed.y.toFixed(3)}`;
@@ -343,6 +1008,101 @@ function initCharts() {
             }
         }
     });
+
+    // Coefficient path chart (one dataset per standardized coefficient, rebuilt on each update)
+    const pathCtx = document.getElementById('coefficientPathChart').getContext('2d');
+    coefficientPathChart = new Chart(pathCtx, {
+        type: 'line',
+        data: { datasets: [] },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: { duration: 0 },
+            scales: {
+                x: {
+                    type: 'logarithmic',
+                    min: LAMBDA_PATH[LAMBDA_PATH.length - 1],
+                    max: LAMBDA_PATH[0],
+                    title: { display: true, text: 'λ (log scale)' },
+                    ticks: {
+                        callback: function(value) {
+                            const exponent = Math.log10(value);
+                            return Number.isInteger(Math.round(exponent * 1e6) / 1e6) ? formatLambda(value) : '';
+                        }
+                    }
+                },
+                y: {
+                    title: { display: true, text: 'Standardized coefficient' }
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: { boxWidth: 12 }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: items => `λ = ${formatLambda(items[0].parsed.x)}`,
+                        label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(3)}`
+                    }
+                }
+            }
+        }
+    });
+
+    // Error-versus-degree charts share their layout
+    const degreeLabels = Array.from({ length: MAX_DEGREE }, (_, i) => String(i + 1));
+    const errorChartOptions = yTitle => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 0 },
+        scales: {
+            x: { title: { display: true, text: 'Polynomial degree' } },
+            y: { type: 'logarithmic', title: { display: true, text: yTitle } }
+        },
+        plugins: {
+            legend: { position: 'bottom', labels: { boxWidth: 12 } },
+            tooltip: {
+                callbacks: {
+                    title: items => `Degree ${items[0].label}`,
+                    label: context => `${context.dataset.label}: ${formatMse(context.parsed.y)}`
+                }
+            }
+        }
+    });
+    const errorDataset = (label, color, dashed = false) => ({
+        label,
+        data: [],
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 2,
+        borderDash: dashed ? [5, 5] : [],
+        pointRadius: 3,
+        fill: false
+    });
+
+    validationCurveChart = new Chart(document.getElementById('validationCurveChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: degreeLabels,
+            datasets: [errorDataset('Train MSE', '#1976d2'), errorDataset('Test MSE', '#f57c00')]
+        },
+        options: errorChartOptions('MSE (log scale)')
+    });
+
+    biasVarianceChart = new Chart(document.getElementById('biasVarianceChart').getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: degreeLabels,
+            datasets: [
+                errorDataset('Bias²', '#7b1fa2'),
+                errorDataset('Variance', '#d32f2f'),
+                errorDataset('Noise σ²', '#9e9e9e', true),
+                errorDataset('Expected test error', '#388e3c')
+            ]
+        },
+        options: errorChartOptions('Error (log scale)')
+    });
 }
 
 // --- INTERACTION HANDLERS ---
@@ -466,56 +1226,90 @@ function updateRegression() {
     const degree = parseInt(document.getElementById('degreeSlider').value);
     const showResiduals = document.getElementById('showResiduals').checked;
     const showConfidence = document.getElementById('showConfidence').checked;
+    const showPrediction = document.getElementById('showPrediction').checked;
+    const confidenceLevel = parseFloat(document.getElementById('confidenceLevelSelect').value);
+    const penalty = document.getElementById('penaltySelect').value;
+    const lambda = Math.pow(10, parseFloat(document.getElementById('lambdaSlider').value));
+    const l1Ratio = penalty === 'elasticNet'
+        ? parseFloat(document.getElementById('l1RatioSlider').value)
+        : PENALTY_L1_RATIO[penalty];
+    const settings = { penalty, lambda, l1Ratio };
+    const validation = document.getElementById('validationSelect').value;
+    
+    // Holdout fits the curve on the training points only; k-fold refits on all of them
+    const splits = validationSplits(points, validation);
+    const testIds = new Set(validation === 'holdout' && splits.length ? splits[0].test.map(i => points[i].id) : []);
+    const fitPoints = points.filter(p => !testIds.has(p.id));
+    const testPoints = points.filter(p => testIds.has(p.id));
     
     // Update main chart data points
-    mainChart.data.datasets[0].data = points.map(p => ({ x: p.x, y: p.y }));
+    mainChart.data.datasets[0].data = fitPoints.map(p => ({ x: p.x, y: p.y }));
+    mainChart.data.datasets[8].data = testPoints.map(p => ({ x: p.x, y: p.y }));
+    validationInput = { X: points.map(p => p.x), y: points.map(p => p.y), splits, settings, degree, method: validation };
+    scheduleValidationCurve();
+    biasVarianceInput = { X: points.map(p => p.x), settings, degree };
+    scheduleBiasVariance();
     
-    if (points.length < degree + 1) {
+    if (fitPoints.length < degree + 1) {
         // Not enough points for regression
         mainChart.data.datasets[1].data = [];
         mainChart.data.datasets[2].data = [];
         mainChart.data.datasets[3].data = [];
         mainChart.data.datasets[4].data = [];
+        mainChart.data.datasets[5].data = [];
+        mainChart.data.datasets[6].data = [];
+        mainChart.data.datasets[7].data = [];
         residualChart.data.datasets[0].data = [];
-        updateStatisticsDisplay({ r2: 0, adjustedR2: 0, mse: 0, rmse: 0, mae: 0 }, points.length);
+        updateCoefficientPath(null, lambda);
+        robustInput = { X: fitPoints.map(p => p.x), y: fitPoints.map(p => p.y), degree, xCurve: [], olsModel: null };
+        scheduleRobustFits();
+        updateStatisticsDisplay({ r2: 0, adjustedR2: 0, mse: 0, rmse: 0, mae: 0 }, fitPoints.length);
+        updateConditioningDisplay(null);
         mainChart.update('none');
         residualChart.update('none');
         return;
     }
     
     // Fit regression model
-    const X = points.map(p => p.x);
-    const y = points.map(p => p.y);
-    regressionCoefficients = fitPolynomialRegression(X, y, degree);
+    const X = fitPoints.map(p => p.x);
+    const y = fitPoints.map(p => p.y);
+    regressionModel = fitPolynomialRegression(X, y, degree);
+    const regularized = penalty === 'none' ? null : regularizationPath(X, y, degree, l1Ratio, lambda);
+    const fittedModel = regularized ? regularized.model : regressionModel;
     
     // Generate smooth curve for visualization
     const xCurve = [];
     for (let x = currentXMin; x <= currentXMax; x += 0.2) {
         xCurve.push(x);
     }
-    const yCurve = predict(xCurve, regressionCoefficients);
+    const yCurve = predict(xCurve, fittedModel);
     
-    // Update regression line
+    // Update regression line (the penalized fit, with the OLS curve behind it for comparison)
+    mainChart.data.datasets[1].label = regularized ? `${PENALTY_LABELS[penalty]} Fit` : 'Regression Line';
     mainChart.data.datasets[1].data = xCurve.map((x, i) => ({ x, y: yCurve[i] }));
+    const yOls = regularized ? predict(xCurve, regressionModel) : null;
+    mainChart.data.datasets[7].data = regularized ? xCurve.map((x, i) => ({ x, y: yOls[i] })) : [];
+    updateCoefficientPath(regularized ? regularized.path : null, lambda);
     
     // Calculate predictions for actual points
-    const yPred = predict(X, regressionCoefficients);
-    const stats = calculateStatistics(y, yPred, points.length, degree);
-    
-    // Update confidence band
-    if (showConfidence) {
-        const confidenceIntervals = calculateConfidenceInterval(xCurve, regressionCoefficients, stats.residuals);
-        mainChart.data.datasets[2].data = xCurve.map((x, i) => ({ x, y: confidenceIntervals[i].lower }));
-        mainChart.data.datasets[3].data = xCurve.map((x, i) => ({ x, y: confidenceIntervals[i].upper }));
-    } else {
-        mainChart.data.datasets[2].data = [];
-        mainChart.data.datasets[3].data = [];
-    }
+    const yPred = predict(X, fittedModel);
+    const stats = calculateStatistics(y, yPred, X.length, degree);
+    
+    // Update confidence and prediction bands (none without residual degrees of freedom; they describe
+    // the unpenalized least-squares fit, so they are hidden while a penalty is applied)
+    const bands = (showConfidence || showPrediction) && !regularized
+        ? calculateConfidenceInterval(xCurve, regressionModel, stats.residuals, confidenceLevel)
+        : null;
+    const bandData = (show, key) => (show && bands ? xCurve.map((x, i) => ({ x, y: bands[i][key] })) : []);
+    mainChart.data.datasets[2].data = bandData(showConfidence, 'lower');
+    mainChart.data.datasets[3].data = bandData(showConfidence, 'upper');
+    mainChart.data.datasets[5].data = bandData(showPrediction, 'predictionLower');
+    mainChart.data.datasets[6].data = bandData(showPrediction, 'predictionUpper');
     
     // Update residual lines
     if (showResiduals) {
         const residualLines = [];
-        for (let i = 0; i < points.length; i++) {
+        for (let i = 0; i < X.length; i++) {
             residualLines.push({ x: X[i], y: y[i] });
             residualLines.push({ x: X[i], y: yPred[i] });
             residualLines.push({ x: NaN, y: NaN }); // Break line
@@ -525,11 +1319,16 @@ function updateRegression() {
         mainChart.data.datasets[4].data = [];
     }
     
+    // Robust fits on the same points, compared with least squares
+    robustInput = { X, y, degree, xCurve, olsModel: regressionModel };
+    scheduleRobustFits();
+    
     // Update residual chart
     residualChart.data.datasets[0].data = yPred.map((yp, i) => ({ x: yp, y: stats.residuals[i] }));
     
     // Update statistics display
-    updateStatisticsDisplay(stats, points.length);
+    updateStatisticsDisplay(stats, X.length);
+    updateConditioningDisplay(regressionModel, X);
     
     mainChart.update('none');
     residualChart.update('none');
@@ -544,6 +1343,74 @@ function updateStatisticsDisplay(stats, n) {
     document.getElementById('nPointsValue').textContent = n;
 }
 
+/**
+ * Draw each standardized coefficient against λ, with a marker at the current λ
+ * path: output of regularizationPath (null clears the chart)
+ */
+function updateCoefficientPath(path, lambda) {
+    const hint = document.getElementById('coefficientPathHint');
+    if (!path) {
+        coefficientPathChart.data.datasets = [];
+        coefficientPathChart.update('none');
+        hint.textContent = 'Choose a penalty to trace how each coefficient shrinks as λ grows.';
+        return;
+    }
+    
+    const degree = path[0].beta.length;
+    const datasets = Array.from({ length: degree }, (_, j) => ({
+        label: `β${j + 1} (x${j + 1 > 1 ? '^' + (j + 1) : ''})`,
+        data: path.map(entry => ({ x: entry.lambda, y: entry.beta[j] })),
+        borderColor: COEFFICIENT_COLORS[j % COEFFICIENT_COLORS.length],
+        backgroundColor: COEFFICIENT_COLORS[j % COEFFICIENT_COLORS.length],
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false
+    }));
+    const values = path.flatMap(entry => entry.beta);
+    datasets.push({
+        label: 'Current λ',
+        data: [{ x: lambda, y: Math.min(0, ...values) }, { x: lambda, y: Math.max(0, ...values) }],
+        borderColor: '#757575',
+        borderWidth: 1,
+        borderDash: [4, 4],
+        pointRadius: 0,
+        fill: false
+    });
+    coefficientPathChart.data.datasets = datasets;
+    coefficientPathChart.update('none');
+    
+    const current = path.find(entry => entry.lambda === lambda).beta;
+    const zeros = current.filter(b => b === 0).length;
+    hint.textContent = `Coefficients of the standardized powers of x. At λ = ${formatLambda(lambda)}, `
+        + `${degree - zeros} of ${degree} are non-zero`
+        + (zeros > 0 ? ' (the L1 penalty sets coefficients exactly to zero).' : '.');
+}
+
+function formatConditionNumber(value) {
+    if (!Number.isFinite(value)) return '∞';
+    return value < 1e4 ? value.toFixed(1) : value.toExponential(2);
+}
+
+/**
+ * Show the condition numbers of the fit and a warning when its coefficients cannot be trusted
+ */
+function updateConditioningDisplay(model, X) {
+    const degree = model ? model.coefficients.length - 1 : 0;
+    document.getElementById('conditionValue').textContent = model ? formatConditionNumber(model.conditionNumber) : '-';
+    document.getElementById('rawConditionValue').textContent = model ? formatConditionNumber(normalEquationsConditionNumber(X, degree)) : '-';
+    
+    const warning = document.getElementById('conditioningWarning');
+    if (!model || model.reliable) {
+        warning.style.display = 'none';
+        return;
+    }
+    const parameters = model.coefficients.length;
+    warning.textContent = model.rank < parameters
+        ? `Only ${model.rank} of the ${parameters} coefficients are identifiable (too few distinct x values): the minimum-norm fit is shown and the curve between the points is arbitrary.`
+        : `The fit is numerically unreliable (condition number ${formatConditionNumber(model.conditionNumber)}): small changes to the points can swing the coefficients. Lower the degree or spread the points out.`;
+    warning.style.display = 'block';
+}
+
 // --- EVENT LISTENERS ---
 
 function setupEventListeners() {
@@ -557,8 +1424,42 @@ function setupEventListeners() {
     // Show residuals toggle
     document.getElementById('showResiduals').addEventListener('change', updateRegression);
     
-    // Show confidence toggle
+    // Band toggles and confidence level
     document.getElementById('showConfidence').addEventListener('change', updateRegression);
+    document.getElementById('showPrediction').addEventListener('change', updateRegression);
+    document.getElementById('confidenceLevelSelect').addEventListener('change', updateRegression);
+    
+    // Validation and bias–variance simulation controls
+    document.getElementById('validationSelect').addEventListener('change', updateRegression);
+    document.getElementById('simulateBiasVariance').addEventListener('change', updateRegression);
+    const noiseSlider = document.getElementById('noiseSlider');
+    noiseSlider.addEventListener('input', function() {
+        document.getElementById('noiseValue').textContent = parseFloat(noiseSlider.value).toFixed(1);
+        updateRegression();
+    });
+    
+    // Robust fit overlays
+    Object.values(ROBUST_METHODS).forEach(method => {
+        document.getElementById(method.checkbox).addEventListener('change', updateRegression);
+    });
+    
+    // Regularization controls
+    const penaltySelect = document.getElementById('penaltySelect');
+    const lambdaSlider = document.getElementById('lambdaSlider');
+    const l1RatioSlider = document.getElementById('l1RatioSlider');
+    penaltySelect.addEventListener('change', function() {
+        lambdaSlider.disabled = penaltySelect.value === 'none';
+        document.getElementById('l1RatioGroup').style.display = penaltySelect.value === 'elasticNet' ? 'block' : 'none';
+        updateRegression();
+    });
+    lambdaSlider.addEventListener('input', function() {
+        document.getElementById('lambdaValue').textContent = formatLambda(Math.pow(10, parseFloat(lambdaSlider.value)));
+        updateRegression();
+    });
+    l1RatioSlider.addEventListener('input', function() {
+        document.getElementById('l1RatioValue').textContent = parseFloat(l1RatioSlider.value).toFixed(2);
+        updateRegression();
+    });
     
     // Clear points button
     document.getElementById('clearPointsBtn').addEventListener('click', function() {
@@ -569,8 +1470,8 @@ function setupEventListeners() {
     // Add random points button
     document.getElementById('addRandomBtn').addEventListener('click', function() {
         for (let i = 0; i < 5; i++) {
-            const x = currentXMin + Math.random() * (currentXMax - currentXMin);
-            const y = (currentYMin + Math.random() * (currentYMax - currentYMin)) + randomGaussian(0, 2);
+            const x = currentXMin + seededRandom() * (currentXMax - currentXMin);
+            const y = (currentYMin + seededRandom() * (currentYMax - currentYMin)) + randomGaussian(0, 2);
             addPoint(x, y);
         }
     });
@@ -708,6 +1609,18 @@ function setupEventListeners() {
 
 // --- MAIN INITIALIZATION ---
 
+// Replaces the points with the seeded starting sample; "Add 5 Random Points" continues the same stream
+function generateInitialPoints() {
+    setRandomSeed(getSeed());
+    points = [];
+    for (let i = 0; i < 8; i++) {
+        const x = X_MIN + seededRandom() * (X_MAX - X_MIN);
+        const y = 2 + 0.5 * x + randomGaussian(0, 1.5);
+        points.push({ x, y, id: nextPointId++ });
+    }
+    updateRegression();
+}
+
 function main() {
     initCharts();
     setupEventListeners();
@@ -717,14 +1630,9 @@ function main() {
         makeDraggable(document.getElementById('floatingControls'), document.getElementById('controlsTitle'));
     }
     
-    // Add some initial random points
-    for (let i = 0; i < 8; i++) {
-        const x = X_MIN + Math.random() * (X_MAX - X_MIN);
-        const y = 2 + 0.5 * x + randomGaussian(0, 1.5);
-        points.push({ x, y, id: nextPointId++ });
-    }
-    
-    updateRegression();
+    // Typing a seed keeps the placed points (it still reseeds the splits and the simulation); only Resample replaces them
+    initSeedControls(updateRegression, generateInitialPoints);
+    generateInitialPoints();
 }
 
 window.addEventListener('load', main);
@@ -0,0 +1,265 @@
+// ============================================================
+// metrics.js — Binary classification metric catalog, explanations and the metrics bar chart
+// ============================================================
+
+// --- BINARY METRIC CATALOG ---
+// Every metric except AUC is a function of the confusion matrix; AUC needs the scores and is supplied by the
+// page. `range` is the metric's span ([0, Infinity] for the unbounded ratios) and sets the bar chart's axis.
+// Metrics that are a simple proportion give `proportion(counts)` = [successes, trials] for exact intervals.
+const BINARY_METRICS = {
+    auc: {
+        label: 'AUC', color: '#673AB7', range: [0, 1],
+        description: "Probability that a randomly chosen positive instance is ranked higher than a randomly chosen negative instance.",
+        rangeText: "0 to 1. 0.5 corresponds to random chance.",
+        formula: "Area Under the ROC Curve"
+    },
+    accuracy: {
+        label: 'Accuracy', color: '#009688', range: [0, 1], proportion: c => [c.tp + c.tn, c.tp + c.fp + c.tn + c.fn],
+        description: "Proportion of all predictions that are correct.",
+        rangeText: "0 to 1.",
+        formula: "(TP + TN) / (TP + TN + FP + FN)"
+    },
+    precision: {
+        label: 'Precision', color: '#1E88E5', range: [0, 1], proportion: c => [c.tp, c.tp + c.fp],
+        description: "Proportion of positive predictions that are correct. A high value indicates a low false positive rate.",
+        rangeText: "0 to 1.",
+        formula: "TP / (TP + FP)"
+    },
+    recall: {
+        label: 'Recall', color: '#388E3C', range: [0, 1], proportion: c => [c.tp, c.tp + c.fn],
+        description: "Proportion of actual positives correctly identified. Also called Sensitivity or True Positive Rate.",
+        rangeText: "0 to 1.",
+        formula: "TP / (TP + FN)"
+    },
+    specificity: {
+        label: 'Specificity', color: '#FB8C00', range: [0, 1], proportion: c => [c.tn, c.tn + c.fp],
+        description: "Proportion of actual negatives correctly identified. Also called True Negative Rate.",
+        rangeText: "0 to 1.",
+        formula: "TN / (TN + FP)"
+    },
+    f1: {
+        label: 'F1-Score', color: '#9C27B0', range: [0, 1],
+        description: "Harmonic mean of Precision and Recall. Balances both metrics in a single value.",
+        rangeText: "0 to 1.",
+        formula: "2 * (Precision * Recall) / (Precision + Recall)"
+    },
+    balancedAccuracy: {
+        label: 'Balanced Accuracy', color: '#00897B', range: [0, 1],
+        description: "Mean of Recall and Specificity. Unlike accuracy, it is not inflated by predicting the majority class.",
+        rangeText: "0 to 1. 0.5 corresponds to random chance.",
+        formula: "(Recall + Specificity) / 2"
+    },
+    npv: {
+        label: 'NPV', color: '#3949AB', range: [0, 1], proportion: c => [c.tn, c.tn + c.fn],
+        description: "Negative Predictive Value: proportion of negative predictions that are correct.",
+        rangeText: "0 to 1.",
+        formula: "TN / (TN + FN)"
+    },
+    fpr: {
+        label: 'FPR', color: '#E53935', range: [0, 1], proportion: c => [c.fp, c.fp + c.tn],
+        description: "False Positive Rate: proportion of actual negatives wrongly flagged as positive (the x-axis of the ROC curve).",
+        rangeText: "0 to 1. Lower is better.",
+        formula: "FP / (FP + TN) = 1 − Specificity"
+    },
+    fnr: {
+        label: 'FNR', color: '#D81B60', range: [0, 1], proportion: c => [c.fn, c.fn + c.tp],
+        description: "False Negative Rate: proportion of actual positives the classifier misses.",
+        rangeText: "0 to 1. Lower is better.",
+        formula: "FN / (FN + TP) = 1 − Recall"
+    },
+    fdr: {
+        label: 'FDR', color: '#F4511E', range: [0, 1], proportion: c => [c.fp, c.fp + c.tp],
+        description: "False Discovery Rate: proportion of positive predictions that are wrong.",
+        rangeText: "0 to 1. Lower is better.",
+        formula: "FP / (FP + TP) = 1 − Precision"
+    },
+    mcc: {
+        label: 'MCC', color: '#5E35B1', range: [-1, 1],
+        description: "Matthews Correlation Coefficient: correlation between predicted and actual classes, using all four cells. Robust to class imbalance.",
+        rangeText: "−1 to 1. 0 corresponds to random chance.",
+        formula: "(TP·TN − FP·FN) / √((TP+FP)(TP+FN)(TN+FP)(TN+FN))"
+    },
+    kappa: {
+        label: "Cohen's κ", color: '#8E24AA', range: [-1, 1],
+        description: "Agreement between predictions and truth beyond the agreement expected by chance from the marginal totals.",
+        rangeText: "−1 to 1. 0 corresponds to chance agreement.",
+        formula: "(p₀ − pₑ) / (1 − pₑ), p₀ = accuracy, pₑ = chance agreement"
+    },
+    lrPlus: {
+        label: 'LR+', color: '#6D4C41', range: [0, Infinity],
+        description: "Positive Likelihood Ratio: how much a positive prediction multiplies the odds of being positive.",
+        rangeText: "0 to ∞. 1 means uninformative; above 10 is strong evidence.",
+        formula: "Recall / (1 − Specificity)"
+    },
+    lrMinus: {
+        label: 'LR−', color: '#8D6E63', range: [0, Infinity],
+        description: "Negative Likelihood Ratio: how much a negative prediction multiplies the odds of being positive.",
+        rangeText: "0 to ∞. 1 means uninformative; below 0.1 is strong evidence.",
+        formula: "(1 − Recall) / Specificity"
+    },
+    dor: {
+        label: 'DOR', color: '#546E7A', range: [0, Infinity],
+        description: "Diagnostic Odds Ratio: odds of a positive prediction among positives over the same odds among negatives.",
+        rangeText: "0 to ∞. 1 means uninformative.",
+        formula: "LR+ / LR− = (TP·TN) / (FP·FN)"
+    },
+    informedness: {
+        label: 'Informedness', color: '#43A047', range: [-1, 1],
+        description: "Youden's J: probability of an informed decision, i.e. how far the classifier is above the ROC chance line.",
+        rangeText: "−1 to 1. 0 corresponds to random chance.",
+        formula: "Recall + Specificity − 1"
+    },
+    markedness: {
+        label: 'Markedness', color: '#0277BD', range: [-1, 1],
+        description: "Counterpart of informedness for the predictive values: how much a prediction tells about the actual class.",
+        rangeText: "−1 to 1. 0 corresponds to random chance.",
+        formula: "Precision + NPV − 1"
+    }
+};
+
+const DEFAULT_METRIC_KEYS = ['auc', 'accuracy', 'precision', 'recall', 'specificity', 'f1'];
+
+// All matrix-based metrics of the catalog. Rates with an empty denominator are 0; the likelihood and odds
+// ratios follow IEEE division (Infinity or NaN), which the chart leaves blank
+function calculateBinaryMetrics(tp, fp, tn, fn) {
+    const total = tp + fp + tn + fn;
+    const rate = (part, whole) => (whole > 0 ? part / whole : 0);
+    const precision = rate(tp, tp + fp), recall = rate(tp, tp + fn), specificity = rate(tn, tn + fp), npv = rate(tn, tn + fn);
+    const accuracy = rate(tp + tn, total);
+    const chanceAgreement = total > 0 ? ((tp + fp) * (tp + fn) + (tn + fn) * (tn + fp)) / (total * total) : 0;
+    const mccDenominator = Math.sqrt((tp + fp) * (tp + fn) * (tn + fp) * (tn + fn));
+    return {
+        accuracy,
+        precision,
+        recall,
+        specificity,
+        f1: (precision + recall) > 0 ? 2 * (precision * recall) / (precision + recall) : 0,
+        balancedAccuracy: (recall + specificity) / 2,
+        npv,
+        fpr: rate(fp, tn + fp),
+        fnr: rate(fn, tp + fn),
+        fdr: rate(fp, tp + fp),
+        mcc: mccDenominator > 0 ? (tp * tn - fp * fn) / mccDenominator : 0,
+        kappa: chanceAgreement < 1 ? (accuracy - chanceAgreement) / (1 - chanceAgreement) : 0,
+        lrPlus: recall / (1 - specificity),
+        lrMinus: (1 - recall) / specificity,
+        dor: (tp * tn) / (fp * fn),
+        informedness: recall + specificity - 1,
+        markedness: precision + npv - 1
+    };
+}
+
+// --- METRIC EXPLANATIONS (used in tooltip callbacks) ---
+// Keyed by chart label: the binary catalog plus the multi-class averages
+const metricExplanations = {
+    ...Object.fromEntries(Object.values(BINARY_METRICS).map(m => [m.label, { description: m.description, range: m.rangeText, formula: m.formula }])),
+    'Macro AUC': {
+        description: "Average of the one-vs-rest AUCs: each class in turn is treated as positive and all others as negative.",
+        range: "0 to 1. 0.5 corresponds to random chance.",
+        formula: "mean over classes of AUC(class k vs rest)"
+    },
+    'Macro Precision': {
+        description: "Unweighted mean of the per-class precisions. Every class counts equally, however rare.",
+        range: "0 to 1.",
+        formula: "mean over classes of TPₖ / (TPₖ + FPₖ)"
+    },
+    'Macro Recall': {
+        description: "Unweighted mean of the per-class recalls (also called balanced accuracy).",
+        range: "0 to 1.",
+        formula: "mean over classes of TPₖ / (TPₖ + FNₖ)"
+    },
+    'Macro F1': {
+        description: "Unweighted mean of the per-class F1-scores. Penalizes models that neglect small classes.",
+        range: "0 to 1.",
+        formula: "mean over classes of F1ₖ"
+    },
+    'Weighted F1': {
+        description: "Mean of the per-class F1-scores weighted by class support (number of true instances).",
+        range: "0 to 1.",
+        formula: "Σ (nₖ / n) * F1ₖ"
+    }
+};
+
+// --- BOOTSTRAP INTERVALS FOR THE SELECTED METRICS ---
+// countsOf(resample) returns the resample's confusion matrix; AUC keeps its own interval since it needs the scores
+function metricIntervals(keys, resamples, countsOf, aucInterval) {
+    const matrixKeys = keys.filter(key => key !== 'auc');
+    const intervals = bootstrapIntervals(resamples, resample => {
+        const { tp, fp, tn, fn } = countsOf(resample);
+        const metrics = calculateBinaryMetrics(tp, fp, tn, fn);
+        return matrixKeys.map(key => metrics[key]);
+    });
+    return keys.map(key => (key === 'auc' ? aucInterval : intervals[matrixKeys.indexOf(key)]) || null);
+}
+
+// --- EXACT INTERVALS FOR PROPORTION METRICS ---
+const PROPORTION_INTERVALS = {
+    wilson: { name: 'Wilson', interval: wilsonInterval },
+    clopperPearson: { name: 'Clopper–Pearson', interval: clopperPearsonInterval }
+};
+
+// One interval per key from the current counts; null for metrics that are not proportions
+function proportionIntervals(keys, counts, method) {
+    return keys.map(key => {
+        const metric = BINARY_METRICS[key];
+        return metric.proportion ? PROPORTION_INTERVALS[method].interval(...metric.proportion(counts)) : null;
+    });
+}
+
+// --- METRICS BAR CHART ---
+// values maps catalog keys to numbers; non-finite ratios are left blank. The y axis spans [-1, 1] when a
+// signed metric is shown and grows past 1 when an unbounded one is. details[i], when given, lists the named
+// intervals ([{ name, interval }]) the tooltip of bar i reports instead of the error bar alone.
+function updateMetricsChart(chart, keys, values, intervals = [], details = null) {
+    const metrics = keys.map(key => BINARY_METRICS[key]);
+    chart.data.labels = metrics.map(m => m.label);
+    chart.data.datasets[0].data = keys.map(key => (isFinite(values[key]) ? values[key] : null));
+    chart.data.datasets[0].backgroundColor = metrics.map(m => m.color);
+    const signed = metrics.some(m => m.range[0] < 0), bounded = metrics.every(m => m.range[1] === 1);
+    chart.options.scales.y = { beginAtZero: true, min: signed ? -1 : 0, max: bounded ? 1 : undefined };
+    chart.options.plugins.errorBars = { intervals, details };
+    chart.update('none');
+}
+
+// Checkbox per catalog metric inside the container; onChange receives the selected keys in catalog order
+function initMetricPicker(containerId, selectedKeys, onChange) {
+    const container = document.getElementById(containerId);
+    const selected = new Set(selectedKeys);
+    Object.entries(BINARY_METRICS).forEach(([key, metric]) => {
+        const label = document.createElement('label');
+        label.className = 'metric-chip';
+        label.title = metric.description;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selected.has(key);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) selected.add(key); else selected.delete(key);
+            onChange(Object.keys(BINARY_METRICS).filter(k => selected.has(k)));
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(metric.label));
+        container.appendChild(label);
+    });
+}
+
+// --- METRICS BAR CHART TOOLTIP CALLBACK ---
+function metricsTooltipCallback(context) {
+    const label = context.chart.data.labels[context.dataIndex];
+    const value = context.raw.toFixed(3);
+    const explanation = metricExplanations[label];
+    let tooltipText = [`${label}: ${value}`];
+    const errorBars = context.chart.options.plugins.errorBars;
+    const interval = errorBars && errorBars.intervals ? errorBars.intervals[context.dataIndex] : null;
+    const details = errorBars && errorBars.details ? errorBars.details[context.dataIndex] : null;
+    const confidence = `${Math.round(BOOTSTRAP_CONFIDENCE * 100)}% CI`;
+    if (details) details.forEach(d => tooltipText.push(`${d.name} ${confidence}: [${d.interval[0].toFixed(3)}, ${d.interval[1].toFixed(3)}]`));
+    else if (interval) tooltipText.push(`${confidence}: [${interval[0].toFixed(3)}, ${interval[1].toFixed(3)}]`);
+    if (explanation) {
+        tooltipText.push('');
+        const roleLines = `${explanation.description}`.match(/.{1,50}(\s|$)/g) || [];
+        roleLines.forEach(line => tooltipText.push(line.trim()));
+        tooltipText.push(`Range: ${explanation.range}`);
+        tooltipText.push(`Formula: ${explanation.formula}`);
+    }
+    return tooltipText;
+}
@@ -0,0 +1,107 @@
+// Brute-force check of the inverse classifier's target solver: for random feasible targets, whenever some
+// integer matrix of the total meets them within the tolerance, solveForTargets must find one. Above
+// SOLVER_EXHAUSTIVE_TOTAL, where only windows around the continuous solutions are searched, the targets are
+// read off a random matrix to three decimals, so that matrix already meets them within the displayed rounding.
+// Run with `node --test tests/` (no dependencies: the page scripts are loaded into a bare context).
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadPageScripts(files) {
+    const context = vm.createContext({ Math, console, window: { addEventListener() {} }, document: {} });
+    files.forEach(file => vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'src', 'js', file), 'utf8'), context));
+    return context;
+}
+
+const page = loadPageScripts(['common.js', 'metrics.js', 'inverse_classifier.js']);
+const { solveForTargets, SOLVER_TOLERANCE, SOLVER_EXHAUSTIVE_TOTAL } = vm.runInContext('({ solveForTargets, SOLVER_TOLERANCE, SOLVER_EXHAUSTIVE_TOTAL })', page);
+const TARGET_METRICS = vm.runInContext('TARGET_METRICS', page);
+
+const targetError = (targets, counts) => Math.max(...targets.map(t => Math.abs(TARGET_METRICS[t.metric].value(counts) - t.value)));
+
+function bruteForceError(targets, total) {
+    let best = Infinity;
+    for (let P = 0; P <= total; P++) {
+        for (let tp = 0; tp <= P; tp++) {
+            for (let fp = 0; fp <= total - P; fp++) {
+                const counts = { tp, fp, tn: total - P - fp, fn: P - tp };
+                best = Math.min(best, targetError(targets, counts));
+            }
+        }
+    }
+    return best;
+}
+
+// Deterministic stream so the cases are the same on every run
+let state = 12345;
+function random() {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+}
+
+// The page's starting matrix (5/40/45/10 %) rescaled to the total
+function startingMatrix(total) {
+    const reference = { tp: Math.round(total * 0.05), fp: Math.round(total * 0.4), fn: Math.round(total * 0.1) };
+    reference.tn = total - reference.tp - reference.fp - reference.fn;
+    return reference;
+}
+
+function randomMatrix(total) {
+    const P = Math.floor(random() * (total + 1)), tp = Math.floor(random() * (P + 1)), fp = Math.floor(random() * (total - P + 1));
+    return { tp, fp, tn: total - P - fp, fn: P - tp };
+}
+
+// Two or three distinct metrics, or null when fewer than two come up
+function randomMetrics() {
+    const picked = Object.keys(TARGET_METRICS).filter(() => random() < 0.5).slice(0, 3);
+    return picked.length < 2 ? null : picked;
+}
+
+test('finds an integer matrix whenever one meets the targets', () => {
+    for (let trial = 0; trial < 60; trial++) {
+        const total = 10 + Math.floor(random() * 31);
+        // Targets read off a random matrix, rounded to two decimals as a user would type them
+        const counts = randomMatrix(total);
+        const picked = randomMetrics();
+        if (!picked) continue;
+        const targets = picked.map(metric => ({ metric, value: Math.round(TARGET_METRICS[metric].value(counts) * 100) / 100 }));
+
+        const solved = solveForTargets(targets, total, startingMatrix(total));
+        if (bruteForceError(targets, total) <= SOLVER_TOLERANCE) {
+            assert.ok(solved.error <= SOLVER_TOLERANCE, `total ${total}, targets ${JSON.stringify(targets)}: error ${solved.error}`);
+        }
+    }
+});
+
+// Missed by the former ±3 window around the rounded continuous optimum (TP 1, FP 25, TN 0, FN 4 qualifies)
+test('total 30, F1 0.07, prevalence 0.17', () => {
+    const targets = [{ metric: 'f1', value: 0.07 }, { metric: 'prevalence', value: 0.17 }];
+    const solved = solveForTargets(targets, 30, { tp: 2, fp: 12, tn: 13, fn: 3 });
+    assert.ok(solved.error <= SOLVER_TOLERANCE, `error ${solved.error}`);
+});
+
+test('finds a matrix for targets read off one above the exhaustive total', () => {
+    for (let trial = 0; trial < 100; trial++) {
+        // Log-uniform between just above the exhaustive search and the largest total the page allows
+        const total = Math.round((SOLVER_EXHAUSTIVE_TOTAL + 1) * Math.pow(100000 / (SOLVER_EXHAUSTIVE_TOTAL + 1), random()));
+        const counts = randomMatrix(total);
+        const picked = randomMetrics();
+        if (!picked) continue;
+        const targets = picked.map(metric => ({ metric, value: Math.round(TARGET_METRICS[metric].value(counts) * 1000) / 1000 }));
+        assert.ok(targetError(targets, counts) <= 0.0005 + 1e-12);
+
+        const solved = solveForTargets(targets, total, startingMatrix(total));
+        assert.ok(solved.error <= SOLVER_TOLERANCE, `total ${total}, targets ${JSON.stringify(targets)}: error ${solved.error}`);
+    }
+});
+
+// Missed when the integer search only looked near the single optimum of the continuous grid, which had settled
+// in the wrong basin (TP 510, FP 3, TN 274, FN 213 qualifies)
+test('total 1000, precision 0.994, recall 0.705, specificity 0.989', () => {
+    const targets = [{ metric: 'precision', value: 0.994 }, { metric: 'recall', value: 0.705 }, { metric: 'specificity', value: 0.989 }];
+    assert.ok(targetError(targets, { tp: 510, fp: 3, tn: 274, fn: 213 }) <= 0.0005);
+    const solved = solveForTargets(targets, 1000, startingMatrix(1000));
+    assert.ok(solved.error <= SOLVER_TOLERANCE, `error ${solved.error}`);
+});